@@ -0,0 +1,354 @@
+// Pink Reader PWA - Annotation Formats
+
+/**
+ * AnnotationFormats class - Converts stored annotations to and from XFDF and JSON
+ * XFDF uses PDF user space like the annotation store, so PDF coordinates carry over
+ * unchanged. Highlighter strokes are written as translucent ink, which desktop PDF
+ * tools display the same way.
+ */
+class AnnotationFormats {
+  /**
+   * Serialize annotations to the Pink Reader JSON format
+   * @param {Object} file - File metadata
+   * @param {Array} annotations - Stored annotations of the file
+   * @returns {Blob} JSON blob
+   */
+  static toJSON(file, annotations) {
+    const data = {
+      format: AnnotationFormats.JSON_FORMAT,
+      version: AnnotationFormats.JSON_VERSION,
+      exportDate: new Date().toISOString(),
+      file: AnnotationFormats.describeFile(file),
+      annotations: annotations.map(({ fileId, ...annotation }) => annotation)
+    };
+
+    return new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  }
+
+  /**
+   * Serialize annotations to XFDF
+   * @param {Object} file - File metadata
+   * @param {Array} annotations - Stored annotations of the file
+   * @returns {Blob} XFDF blob
+   */
+  static toXFDF(file, annotations) {
+    const ns = AnnotationFormats.XFDF_NS;
+    const xml = document.implementation.createDocument(ns, 'xfdf', null);
+    const root = xml.documentElement;
+    root.setAttributeNS('http://www.w3.org/XML/1998/namespace', 'xml:space', 'preserve');
+
+    const fileElement = xml.createElementNS(ns, 'f');
+    fileElement.setAttribute('href', file.fileName);
+    root.appendChild(fileElement);
+
+    const ids = xml.createElementNS(ns, 'ids');
+    ids.setAttribute('original', file.id);
+    ids.setAttribute('modified', file.id);
+    root.appendChild(ids);
+
+    const annots = xml.createElementNS(ns, 'annots');
+    root.appendChild(annots);
+
+    annotations.forEach(annotation => {
+      const isNote = annotation.type === 'note';
+      const element = xml.createElementNS(ns, isNote ? 'text' : 'ink');
+
+      element.setAttribute('page', annotation.pageNumber - 1);
+      element.setAttribute('rect', AnnotationFormats.getRect(annotation).join(','));
+      element.setAttribute('color', annotation.color);
+      element.setAttribute('name', annotation.id);
+      element.setAttribute('title', 'Pink Reader');
+      element.setAttribute('creationdate', AnnotationFormats.toPDFDate(annotation.createdDate));
+      element.setAttribute('date', AnnotationFormats.toPDFDate(annotation.modifiedDate || annotation.createdDate));
+
+      if (isNote) {
+        element.setAttribute('icon', 'Comment');
+        const contents = xml.createElementNS(ns, 'contents');
+        contents.textContent = annotation.text;
+        element.appendChild(contents);
+      } else {
+        element.setAttribute('width', annotation.width);
+        if (annotation.type === 'highlight') {
+          element.setAttribute('subject', 'Highlight');
+          element.setAttribute('opacity', AnnotationFormats.HIGHLIGHT_OPACITY);
+        }
+
+        const inklist = xml.createElementNS(ns, 'inklist');
+        const gesture = xml.createElementNS(ns, 'gesture');
+        gesture.textContent = annotation.points.map(point => point.join(',')).join(';');
+        inklist.appendChild(gesture);
+        element.appendChild(inklist);
+      }
+
+      annots.appendChild(element);
+    });
+
+    const text = '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(xml);
+    return new Blob([text], { type: 'application/vnd.adobe.xfdf' });
+  }
+
+  /**
+   * Parse exported annotations (XFDF or JSON, detected from the content)
+   * @param {string} text - File contents
+   * @returns {{source: Object, annotations: Array, skipped: number}} Parsed annotations
+   *   (without fileId), the file they were exported from and the number of entries
+   *   that could not be read
+   */
+  static parse(text) {
+    const trimmed = text.trim();
+    return trimmed.startsWith('<')
+      ? AnnotationFormats.parseXFDF(trimmed)
+      : AnnotationFormats.parseJSON(trimmed);
+  }
+
+  /**
+   * Parse the Pink Reader JSON format
+   */
+  static parseJSON(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('JSONとして読み込めません');
+    }
+
+    if (!data || data.format !== AnnotationFormats.JSON_FORMAT || !Array.isArray(data.annotations)) {
+      throw new Error('注釈のエクスポートファイルではありません');
+    }
+    if (data.version > AnnotationFormats.JSON_VERSION) {
+      throw new Error('このバージョンの注釈ファイルには対応していません');
+    }
+
+    const annotations = data.annotations
+      .map(annotation => AnnotationFormats.normalize(annotation))
+      .filter(Boolean);
+
+    return {
+      source: data.file || {},
+      annotations,
+      skipped: data.annotations.length - annotations.length
+    };
+  }
+
+  /**
+   * Parse XFDF (ink, text and highlight annotations are supported)
+   */
+  static parseXFDF(text) {
+    const xml = new DOMParser().parseFromString(text, 'application/xml');
+    const root = xml.documentElement;
+
+    if (xml.getElementsByTagName('parsererror').length > 0 || root.localName !== 'xfdf') {
+      throw new Error('XFDFとして読み込めません');
+    }
+
+    const child = (element, name) => Array.from(element.children).find(node => node.localName === name);
+    const source = {
+      fileName: child(root, 'f')?.getAttribute('href') || null,
+      id: child(root, 'ids')?.getAttribute('original') || null
+    };
+
+    const annots = child(root, 'annots');
+    const elements = annots ? Array.from(annots.children) : [];
+    const annotations = [];
+    let skipped = 0;
+
+    elements.forEach(element => {
+      const parsed = AnnotationFormats.parseXFDFElement(element, child)
+        .map(annotation => AnnotationFormats.normalize(annotation))
+        .filter(Boolean);
+
+      if (parsed.length === 0) {
+        skipped++;
+      }
+      annotations.push(...parsed);
+    });
+
+    return { source, annotations, skipped };
+  }
+
+  /**
+   * Convert one XFDF annotation element to zero or more raw annotations
+   */
+  static parseXFDFElement(element, child) {
+    const common = {
+      id: element.getAttribute('name') || null,
+      pageNumber: parseInt(element.getAttribute('page')) + 1,
+      color: element.getAttribute('color'),
+      createdDate: AnnotationFormats.fromPDFDate(element.getAttribute('creationdate')),
+      modifiedDate: AnnotationFormats.fromPDFDate(element.getAttribute('date'))
+    };
+    const numbers = (value) => (value || '').split(/[\s,;]+/).filter(Boolean).map(Number);
+
+    switch (element.localName) {
+      case 'ink': {
+        const opacity = parseFloat(element.getAttribute('opacity'));
+        const isHighlight = element.getAttribute('subject') === 'Highlight' || opacity < 1;
+        const gestures = Array.from(child(element, 'inklist')?.children || [])
+          .filter(node => node.localName === 'gesture');
+
+        // Each gesture is a separate stroke in our model
+        return gestures.map((gesture, index) => {
+          const values = numbers(gesture.textContent);
+          const points = [];
+          for (let i = 0; i + 1 < values.length; i += 2) {
+            points.push([values[i], values[i + 1]]);
+          }
+          return {
+            ...common,
+            id: index === 0 ? common.id : null,
+            type: isHighlight ? 'highlight' : 'pen',
+            width: parseFloat(element.getAttribute('width')) || 1,
+            points
+          };
+        });
+      }
+      case 'highlight': {
+        // Text markup: draw a highlighter stroke along the middle of each quad
+        const coords = numbers(element.getAttribute('coords'));
+        const quads = [];
+        for (let i = 0; i + 7 < coords.length; i += 8) {
+          const [x1, y1, x2, y2, x3, y3, x4, y4] = coords.slice(i, i + 8);
+          quads.push({
+            ...common,
+            id: i === 0 ? common.id : null,
+            type: 'highlight',
+            width: Math.hypot(x1 - x3, y1 - y3),
+            points: [[(x1 + x3) / 2, (y1 + y3) / 2], [(x2 + x4) / 2, (y2 + y4) / 2]]
+          });
+        }
+        return quads;
+      }
+      case 'text': {
+        const [x1, y1, x2, y2] = numbers(element.getAttribute('rect'));
+        return [{
+          ...common,
+          type: 'note',
+          position: [(x1 + x2) / 2, (y1 + y2) / 2],
+          size: Math.abs(x2 - x1),
+          text: child(element, 'contents')?.textContent || ''
+        }];
+      }
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Validate a raw annotation and bring it into the stored shape
+   * @returns {Object|null} Annotation (without fileId), or null if it is unusable
+   */
+  static normalize(raw) {
+    if (!raw || !AnnotationFormats.TYPES.includes(raw.type)) return null;
+
+    const pageNumber = Number(raw.pageNumber);
+    if (!Number.isInteger(pageNumber) || pageNumber < 1) return null;
+
+    const round = (value) => Math.round(value * 100) / 100;
+    const isPoint = (point) => Array.isArray(point) && point.length === 2 && point.every(Number.isFinite);
+
+    const annotation = {
+      id: typeof raw.id === 'string' && raw.id ? raw.id : Utils.generateUUID(),
+      pageNumber,
+      type: raw.type,
+      color: /^#[0-9a-f]{6}$/i.test(raw.color) ? raw.color.toUpperCase() : AnnotationFormats.DEFAULT_COLOR,
+      createdDate: typeof raw.createdDate === 'string' && raw.createdDate ? raw.createdDate : new Date().toISOString()
+    };
+    if (typeof raw.modifiedDate === 'string' && raw.modifiedDate && raw.modifiedDate !== annotation.createdDate) {
+      annotation.modifiedDate = raw.modifiedDate;
+    }
+
+    if (raw.type === 'note') {
+      if (!isPoint(raw.position) || typeof raw.text !== 'string' || !raw.text.trim()) return null;
+
+      annotation.position = raw.position.map(round);
+      annotation.size = round(Number(raw.size) > 0 ? Number(raw.size) : AnnotationFormats.DEFAULT_NOTE_SIZE);
+      annotation.text = raw.text.trim();
+    } else {
+      const points = Array.isArray(raw.points) ? raw.points.filter(isPoint).map(point => point.map(round)) : [];
+      if (points.length === 0) return null;
+      if (points.length === 1) points.push([...points[0]]);
+
+      annotation.points = points;
+      annotation.width = round(Number(raw.width) > 0 ? Number(raw.width) : 1);
+    }
+
+    return annotation;
+  }
+
+  /**
+   * Check whether exported annotations were made for a file
+   * @param {Object} source - File description from the export
+   * @param {Object} file - File metadata
+   * @returns {boolean} True if the export belongs to the file
+   */
+  static matchesFile(source, file) {
+    if (!source) return false;
+    if (source.id && source.id === file.id) return true;
+    if (!source.fileName || source.fileName !== file.fileName) return false;
+    return !source.fileSize || source.fileSize === file.fileSize;
+  }
+
+  /**
+   * Describe a file for the JSON export header
+   */
+  static describeFile(file) {
+    return {
+      id: file.id,
+      fileName: file.fileName,
+      mediaType: file.mediaType,
+      fileSize: file.fileSize,
+      pageCount: file.pageCount || null
+    };
+  }
+
+  /**
+   * Get the bounding rectangle [x1, y1, x2, y2] of an annotation
+   */
+  static getRect(annotation) {
+    if (annotation.type === 'note') {
+      const [x, y] = annotation.position;
+      const half = annotation.size / 2;
+      return [x - half, y - half, x + half, y + half].map(value => Math.round(value * 100) / 100);
+    }
+
+    const xs = annotation.points.map(point => point[0]);
+    const ys = annotation.points.map(point => point[1]);
+    const pad = annotation.width / 2;
+    return [Math.min(...xs) - pad, Math.min(...ys) - pad, Math.max(...xs) + pad, Math.max(...ys) + pad]
+      .map(value => Math.round(value * 100) / 100);
+  }
+
+  /**
+   * Convert an ISO date to a PDF date string (D:YYYYMMDDHHmmSSZ)
+   */
+  static toPDFDate(isoDate) {
+    const date = new Date(isoDate);
+    if (isNaN(date.getTime())) return '';
+    return `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+  }
+
+  /**
+   * Convert a PDF date string to an ISO date
+   * @returns {string|null} ISO date, or null if the value is not a PDF date
+   */
+  static fromPDFDate(value) {
+    const match = /^D:(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(Z|[+-]\d{2}'?\d{2}'?)?/.exec(value || '');
+    if (!match) return null;
+
+    const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', zone = 'Z'] = match;
+    const offset = zone === 'Z' ? 'Z' : `${zone.slice(0, 3)}:${zone.replace(/'/g, '').slice(3, 5) || '00'}`;
+    const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+}
+
+AnnotationFormats.JSON_FORMAT = 'pink-reader-annotations';
+AnnotationFormats.JSON_VERSION = 1;
+AnnotationFormats.XFDF_NS = 'http://ns.adobe.com/xfdf/';
+AnnotationFormats.TYPES = ['highlight', 'pen', 'note'];
+AnnotationFormats.DEFAULT_COLOR = '#FF7BAC';
+AnnotationFormats.DEFAULT_NOTE_SIZE = 18;
+AnnotationFormats.HIGHLIGHT_OPACITY = 0.35;
+
+// Make AnnotationFormats available globally
+window.AnnotationFormats = AnnotationFormats;
@@ -0,0 +1,623 @@
+// Pink Reader PWA - Annotation Layer Component
+
+/**
+ * AnnotationLayer class - Highlighter, pen, eraser and sticky-note markup for a viewer
+ * Shapes are stored in document coordinates (PDF user space or image pixels) and drawn
+ * in SVG surfaces whose transform follows the viewer, so they stay aligned through
+ * zoom, pan and rotation. Used by both PDFViewer and ImageViewer.
+ */
+class AnnotationLayer {
+  constructor(containerElement, mediaManager, options = {}) {
+    this.container = containerElement;
+    this.mediaManager = mediaManager;
+    this.isActive = options.isActive || (() => true);
+
+    // DOM elements
+    this.overlayElement = null;
+    this.toolbarElement = null;
+    this.toggleButton = null;
+    this.colorInput = null;
+    this.undoButton = null;
+    this.redoButton = null;
+
+    // State
+    this.fileId = null;
+    this.annotations = [];
+    this.surfaces = new Map();
+    this.tool = 'none';
+    this.color = '#FF7BAC';
+    this.undoStack = [];
+    this.redoStack = [];
+    this.currentStroke = null;
+    this.isErasing = false;
+
+    // Tool sizes in screen pixels at the zoom level they are drawn at
+    this.toolSizes = {
+      highlight: 16,
+      pen: 2.5,
+      note: 24
+    };
+    this.highlightOpacity = 0.35;
+    this.maxHistory = 100;
+
+    this.init();
+  }
+
+  /**
+   * Initialize annotation layer
+   */
+  init() {
+    this.setupDOM();
+    this.setupEventListeners();
+    this.updateToolbar();
+    
+    // Reload when annotations are imported for the open file
+    this.mediaManager.on('annotationsChanged', (fileId) => {
+      if (fileId === this.fileId) {
+        this.setFile(fileId);
+      }
+    });
+  }
+
+  /**
+   * Setup DOM elements
+   */
+  setupDOM() {
+    this.overlayElement = this.container.querySelector('.annotation-overlay');
+    this.toolbarElement = this.container.querySelector('.annotation-toolbar');
+    this.toggleButton = this.container.querySelector('.annotation-toggle');
+    this.colorInput = this.toolbarElement?.querySelector('.annotation-color') || null;
+    this.undoButton = this.toolbarElement?.querySelector('.annotation-undo') || null;
+    this.redoButton = this.toolbarElement?.querySelector('.annotation-redo') || null;
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    // Toolbar
+    this.toggleButton?.addEventListener('click', () => this.toggleToolbar());
+    this.toolbarElement?.querySelectorAll('.annotation-tool').forEach(button => {
+      button.addEventListener('click', () => this.setTool(button.dataset.tool));
+    });
+    this.colorInput?.addEventListener('input', (e) => {
+      this.color = e.target.value;
+    });
+    this.undoButton?.addEventListener('click', () => this.undo());
+    this.redoButton?.addEventListener('click', () => this.redo());
+
+    if (this.overlayElement) {
+      // Drawing
+      this.overlayElement.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+      this.overlayElement.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+      this.overlayElement.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+      this.overlayElement.addEventListener('pointercancel', (e) => this.handlePointerUp(e));
+
+      // Keep the viewer from panning while a tool is in use
+      ['mousedown', 'touchstart'].forEach(eventName => {
+        this.overlayElement.addEventListener(eventName, (e) => {
+          if (this.tool !== 'none') {
+            e.stopPropagation();
+          }
+        });
+      });
+
+      // Open notes with a click when no drawing tool is active
+      this.overlayElement.addEventListener('click', (e) => {
+        const note = e.target.closest('.annotation-note');
+        if (note && this.tool === 'none') {
+          this.editNote(this.getAnnotationById(note.dataset.annotationId));
+        }
+      });
+    }
+
+    // Undo / redo shortcuts
+    document.addEventListener('keydown', (e) => {
+      if (!this.fileId || !this.isActive()) return;
+      if (Utils.isEditableTarget(e.target)) return;
+
+      if ((e.ctrlKey || e.metaKey) && (e.key === 'z' || e.key === 'Z')) {
+        e.preventDefault();
+        if (e.shiftKey) {
+          this.redo();
+        } else {
+          this.undo();
+        }
+      } else if ((e.ctrlKey || e.metaKey) && e.key === 'y') {
+        e.preventDefault();
+        this.redo();
+      } else if (e.key === 'Escape' && this.tool !== 'none') {
+        this.setTool('none');
+      }
+    });
+  }
+
+  /**
+   * Show or hide the annotation toolbar
+   */
+  toggleToolbar() {
+    if (!this.toolbarElement) return;
+
+    const show = this.toolbarElement.classList.contains('hidden');
+    this.toolbarElement.classList.toggle('hidden', !show);
+    this.toggleButton?.classList.toggle('active', show);
+
+    if (!show) {
+      this.setTool('none');
+    }
+  }
+
+  /**
+   * Select the active tool ('none', 'highlight', 'pen', 'eraser' or 'note')
+   */
+  setTool(tool) {
+    this.tool = tool;
+    this.currentStroke = null;
+    this.isErasing = false;
+
+    if (this.overlayElement) {
+      this.overlayElement.classList.toggle('annotating', tool !== 'none');
+      this.overlayElement.dataset.tool = tool;
+    }
+    this.updateToolbar();
+  }
+
+  /**
+   * Update toolbar button states
+   */
+  updateToolbar() {
+    this.toolbarElement?.querySelectorAll('.annotation-tool').forEach(button => {
+      button.classList.toggle('active', button.dataset.tool === this.tool);
+    });
+    if (this.undoButton) this.undoButton.disabled = this.undoStack.length === 0;
+    if (this.redoButton) this.redoButton.disabled = this.redoStack.length === 0;
+  }
+
+  /**
+   * Load annotations for a file
+   */
+  async setFile(fileId) {
+    this.fileId = fileId;
+    this.annotations = [];
+    this.undoStack = [];
+    this.redoStack = [];
+    this.updateToolbar();
+
+    try {
+      const annotations = await this.mediaManager.getAnnotations(fileId);
+      if (this.fileId !== fileId) return;
+
+      this.annotations = annotations;
+      this.surfaces.forEach((surface, pageNumber) => this.renderSurface(pageNumber));
+    } catch (error) {
+      console.error('Failed to load annotations:', error);
+    }
+  }
+
+  /**
+   * Clear annotations and surfaces (no file open)
+   */
+  clear() {
+    this.fileId = null;
+    this.annotations = [];
+    this.undoStack = [];
+    this.redoStack = [];
+    this.setSurfaces([]);
+    this.setTool('none');
+  }
+
+  /**
+   * Position one SVG surface per visible page
+   * @param {Array} surfaces - [{ pageNumber, left, top, width, height, transform, matrix }]
+   *   where matrix maps document coordinates to the surface's CSS pixels
+   */
+  setSurfaces(surfaces) {
+    if (!this.overlayElement) return;
+
+    const pageNumbers = surfaces.map(surface => surface.pageNumber);
+
+    // Remove surfaces for pages that are no longer shown
+    this.surfaces.forEach((surface, pageNumber) => {
+      if (!pageNumbers.includes(pageNumber)) {
+        surface.svg.remove();
+        this.surfaces.delete(pageNumber);
+      }
+    });
+
+    surfaces.forEach(({ pageNumber, left, top, width, height, transform, matrix }) => {
+      let surface = this.surfaces.get(pageNumber);
+      const isNew = !surface;
+
+      if (isNew) {
+        const svg = document.createElementNS(AnnotationLayer.SVG_NS, 'svg');
+        svg.classList.add('annotation-surface');
+        svg.dataset.page = pageNumber;
+        const group = document.createElementNS(AnnotationLayer.SVG_NS, 'g');
+        svg.appendChild(group);
+        this.overlayElement.appendChild(svg);
+        surface = { svg, group, matrix: null };
+        this.surfaces.set(pageNumber, surface);
+      }
+
+      surface.svg.style.left = `${left}px`;
+      surface.svg.style.top = `${top}px`;
+      surface.svg.style.transform = transform || '';
+      surface.svg.setAttribute('width', width);
+      surface.svg.setAttribute('height', height);
+
+      const matrixKey = matrix.join(',');
+      if (surface.matrix !== matrixKey) {
+        surface.matrix = matrixKey;
+        surface.group.setAttribute('transform', `matrix(${matrix.join(' ')})`);
+        surface.flipped = matrix[0] * matrix[3] - matrix[1] * matrix[2] < 0;
+        this.renderSurface(pageNumber);
+      } else if (isNew) {
+        this.renderSurface(pageNumber);
+      }
+    });
+  }
+
+  /**
+   * Draw every annotation of a page into its surface
+   */
+  renderSurface(pageNumber) {
+    const surface = this.surfaces.get(pageNumber);
+    if (!surface) return;
+
+    surface.group.innerHTML = '';
+    this.annotations
+      .filter(annotation => annotation.pageNumber === pageNumber)
+      .forEach(annotation => surface.group.appendChild(this.createShapeElement(annotation, surface)));
+  }
+
+  /**
+   * Create the SVG element for an annotation
+   */
+  createShapeElement(annotation, surface) {
+    const ns = AnnotationLayer.SVG_NS;
+
+    if (annotation.type === 'note') {
+      const [x, y] = annotation.position;
+      const size = annotation.size;
+      const note = document.createElementNS(ns, 'g');
+      note.classList.add('annotation-note');
+      note.dataset.annotationId = annotation.id;
+      // Counter the y-flip of PDF user space so the icon stays upright
+      note.setAttribute('transform', `translate(${x} ${y}) scale(1 ${surface.flipped ? -1 : 1})`);
+
+      const rect = document.createElementNS(ns, 'rect');
+      rect.setAttribute('x', -size / 2);
+      rect.setAttribute('y', -size / 2);
+      rect.setAttribute('width', size);
+      rect.setAttribute('height', size);
+      rect.setAttribute('rx', size / 6);
+      rect.setAttribute('fill', annotation.color);
+
+      const icon = document.createElementNS(ns, 'text');
+      icon.setAttribute('text-anchor', 'middle');
+      icon.setAttribute('dominant-baseline', 'central');
+      icon.setAttribute('font-size', size * 0.6);
+      icon.textContent = '📝';
+
+      const title = document.createElementNS(ns, 'title');
+      title.textContent = annotation.text;
+
+      note.append(rect, icon, title);
+      return note;
+    }
+
+    const stroke = document.createElementNS(ns, 'polyline');
+    stroke.classList.add(annotation.type === 'highlight' ? 'annotation-highlight' : 'annotation-ink');
+    stroke.dataset.annotationId = annotation.id;
+    stroke.setAttribute('points', annotation.points.map(point => point.join(',')).join(' '));
+    stroke.setAttribute('fill', 'none');
+    stroke.setAttribute('stroke', annotation.color);
+    stroke.setAttribute('stroke-width', annotation.width);
+    stroke.setAttribute('stroke-linecap', 'round');
+    stroke.setAttribute('stroke-linejoin', 'round');
+    if (annotation.type === 'highlight') {
+      stroke.setAttribute('stroke-opacity', this.highlightOpacity);
+    }
+    return stroke;
+  }
+
+  /**
+   * Convert a pointer position to document coordinates of a surface
+   */
+  getDocumentPoint(surface, e) {
+    const point = surface.svg.createSVGPoint();
+    point.x = e.clientX;
+    point.y = e.clientY;
+    const { x, y } = point.matrixTransform(surface.group.getScreenCTM().inverse());
+    return [Math.round(x * 100) / 100, Math.round(y * 100) / 100];
+  }
+
+  /**
+   * Get the size of one document unit in screen pixels
+   */
+  getScreenScale(surface) {
+    const matrix = surface.group.getScreenCTM();
+    return Math.hypot(matrix.a, matrix.b) || 1;
+  }
+
+  /**
+   * Find the surface under a pointer event
+   */
+  getSurfaceForEvent(e) {
+    const svg = e.target.closest && e.target.closest('.annotation-surface');
+    if (!svg) return null;
+    return { pageNumber: parseInt(svg.dataset.page), ...this.surfaces.get(parseInt(svg.dataset.page)) };
+  }
+
+  /**
+   * Handle pointer down on a surface
+   */
+  handlePointerDown(e) {
+    if (this.tool === 'none' || !this.fileId) return;
+
+    const surface = this.getSurfaceForEvent(e);
+    if (!surface || !surface.svg) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+
+    switch (this.tool) {
+      case 'highlight':
+      case 'pen': {
+        const scale = this.getScreenScale(surface);
+        const annotation = {
+          type: this.tool,
+          color: this.color,
+          width: Math.round((this.toolSizes[this.tool] / scale) * 100) / 100
+        };
+        const points = [this.getDocumentPoint(surface, e)];
+        const polyline = this.createShapeElement({ ...annotation, id: '', points }, surface);
+        surface.group.appendChild(polyline);
+
+        this.currentStroke = { surface, polyline, points, annotation, minDistance: 1.5 / scale };
+        surface.svg.setPointerCapture(e.pointerId);
+        break;
+      }
+      case 'eraser':
+        this.isErasing = true;
+        surface.svg.setPointerCapture(e.pointerId);
+        this.eraseAt(e);
+        break;
+      case 'note': {
+        const existing = e.target.closest('.annotation-note');
+        if (existing) {
+          this.editNote(this.getAnnotationById(existing.dataset.annotationId));
+        } else {
+          this.createNote(surface, e);
+        }
+        break;
+      }
+    }
+  }
+
+  /**
+   * Handle pointer move while drawing or erasing
+   */
+  handlePointerMove(e) {
+    if (this.currentStroke) {
+      const { surface, points, minDistance, polyline } = this.currentStroke;
+      const point = this.getDocumentPoint(surface, e);
+      const last = points[points.length - 1];
+
+      if (Math.hypot(point[0] - last[0], point[1] - last[1]) >= minDistance) {
+        points.push(point);
+        polyline.setAttribute('points', points.map(p => p.join(',')).join(' '));
+      }
+      e.preventDefault();
+    } else if (this.isErasing) {
+      this.eraseAt(e);
+      e.preventDefault();
+    }
+  }
+
+  /**
+   * Handle pointer up (finish stroke)
+   */
+  handlePointerUp(e) {
+    this.isErasing = false;
+    if (!this.currentStroke) return;
+
+    const { surface, points, polyline, annotation } = this.currentStroke;
+    this.currentStroke = null;
+    polyline.remove();
+
+    // A single tap still leaves a dot
+    if (points.length === 1) {
+      points.push([...points[0]]);
+    }
+
+    this.addAnnotation({
+      ...annotation,
+      id: Utils.generateUUID(),
+      fileId: this.fileId,
+      pageNumber: surface.pageNumber,
+      points,
+      createdDate: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Delete the annotation under the pointer
+   */
+  eraseAt(e) {
+    const target = document.elementFromPoint(e.clientX, e.clientY);
+    const element = target && target.closest && target.closest('[data-annotation-id]');
+    if (!element || !this.overlayElement.contains(element)) return;
+
+    const annotation = this.getAnnotationById(element.dataset.annotationId);
+    if (annotation) {
+      this.removeAnnotation(annotation);
+    }
+  }
+
+  /**
+   * Create a sticky note at the pointer position
+   */
+  createNote(surface, e) {
+    const text = prompt('付箋のテキスト', '');
+    if (!text || !text.trim()) return;
+
+    const scale = this.getScreenScale(surface);
+    this.addAnnotation({
+      id: Utils.generateUUID(),
+      fileId: this.fileId,
+      pageNumber: surface.pageNumber,
+      type: 'note',
+      color: this.color,
+      position: this.getDocumentPoint(surface, e),
+      size: Math.round((this.toolSizes.note / scale) * 100) / 100,
+      text: text.trim(),
+      createdDate: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Edit (or delete, when emptied) a sticky note
+   */
+  editNote(annotation) {
+    if (!annotation) return;
+
+    const text = prompt('付箋のテキスト（空にすると削除）', annotation.text);
+    if (text === null) return;
+
+    if (!text.trim()) {
+      this.removeAnnotation(annotation);
+    } else if (text.trim() !== annotation.text) {
+      this.updateAnnotation({ ...annotation, text: text.trim() });
+    }
+  }
+
+  /**
+   * Get an annotation by ID
+   */
+  getAnnotationById(id) {
+    return this.annotations.find(annotation => annotation.id === id);
+  }
+
+  /**
+   * Add an annotation
+   */
+  async addAnnotation(annotation, recordHistory = true) {
+    this.annotations.push(annotation);
+    this.renderSurface(annotation.pageNumber);
+    if (recordHistory) {
+      this.pushHistory({ action: 'add', annotation });
+    }
+    await this.persist(() => this.mediaManager.saveAnnotation(annotation));
+  }
+
+  /**
+   * Remove an annotation
+   */
+  async removeAnnotation(annotation, recordHistory = true) {
+    this.annotations = this.annotations.filter(a => a.id !== annotation.id);
+    this.renderSurface(annotation.pageNumber);
+    if (recordHistory) {
+      this.pushHistory({ action: 'remove', annotation });
+    }
+    await this.persist(() => this.mediaManager.deleteAnnotation(annotation));
+  }
+
+  /**
+   * Replace an annotation with an updated copy
+   */
+  async updateAnnotation(annotation, recordHistory = true) {
+    const previous = this.getAnnotationById(annotation.id);
+    if (!previous) return;
+
+    const updated = { ...annotation, modifiedDate: new Date().toISOString() };
+    this.annotations = this.annotations.map(a => a.id === annotation.id ? updated : a);
+    this.renderSurface(annotation.pageNumber);
+    if (recordHistory) {
+      this.pushHistory({ action: 'update', annotation: updated, previous });
+    }
+    await this.persist(() => this.mediaManager.saveAnnotation(updated));
+  }
+
+  /**
+   * Run a storage operation and report failures
+   */
+  async persist(operation) {
+    try {
+      await operation();
+    } catch (error) {
+      console.error('Failed to save annotation:', error);
+      Utils.showToast('注釈の保存に失敗しました', 'error');
+    }
+  }
+
+  /**
+   * Record an undoable operation
+   */
+  pushHistory(entry) {
+    this.undoStack.push(entry);
+    if (this.undoStack.length > this.maxHistory) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+    this.updateToolbar();
+  }
+
+  /**
+   * Undo the last operation
+   */
+  async undo() {
+    const entry = this.undoStack.pop();
+    if (!entry) return;
+
+    switch (entry.action) {
+      case 'add':
+        await this.removeAnnotation(entry.annotation, false);
+        break;
+      case 'remove':
+        await this.addAnnotation(entry.annotation, false);
+        break;
+      case 'update':
+        await this.updateAnnotation(entry.previous, false);
+        break;
+    }
+
+    this.redoStack.push(entry);
+    this.updateToolbar();
+  }
+
+  /**
+   * Redo the last undone operation
+   */
+  async redo() {
+    const entry = this.redoStack.pop();
+    if (!entry) return;
+
+    switch (entry.action) {
+      case 'add':
+        await this.addAnnotation(entry.annotation, false);
+        break;
+      case 'remove':
+        await this.removeAnnotation(entry.annotation, false);
+        break;
+      case 'update':
+        await this.updateAnnotation(entry.annotation, false);
+        break;
+    }
+
+    this.undoStack.push(entry);
+    this.updateToolbar();
+  }
+
+  /**
+   * Dispose annotation resources
+   */
+  dispose() {
+    this.clear();
+  }
+}
+
+AnnotationLayer.SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Make AnnotationLayer available globally
+window.AnnotationLayer = AnnotationLayer;
@@ -9,8 +9,20 @@ class PinkReaderApp {
     // Core components
     this.mediaManager = null;
     this.pdfViewer = null;
+    this.pdfTileLayer = null;
+    this.pdfTextLayer = null;
+    this.pdfLinkLayer = null;
+    this.pdfFormLayer = null;
+    this.pdfSearch = null;
+    this.pdfOutline = null;
+    this.pdfThumbnails = null;
+    this.pdfBookmarks = null;
+    this.pdfProperties = null;
+    this.pdfPresentation = null;
+    this.pdfReadAloud = null;
     this.imageViewer = null;
     this.videoPlayer = null;
+    this.navigationHistory = null;
     
     // DOM elements
     this.loadingScreen = null;
@@ -22,7 +34,12 @@ class PinkReaderApp {
     this.imageViewerElement = null;
     this.videoViewerElement = null;
     this.fileInput = null;
+    this.annotationFileInput = null;
     this.addFileButton = null;
+    this.importDirectionSelect = null;
+    this.librarySearchInput = null;
+    this.defaultColorModeSelect = null;
+    this.colorTintInput = null;
     this.toggleSidebarButton = null;
     this.clearAllButton = null;
     this.tabsContainer = null;
@@ -31,6 +48,7 @@ class PinkReaderApp {
     
     // State
     this.currentContextFile = null;
+    this.annotationImportFile = null;
     this.isDragOver = false;
     
     this.init();
@@ -75,7 +93,12 @@ class PinkReaderApp {
     
     // Controls
     this.fileInput = document.getElementById('file-input');
+    this.annotationFileInput = document.getElementById('annotation-file-input');
     this.addFileButton = document.getElementById('add-file-btn');
+    this.importDirectionSelect = document.getElementById('import-direction');
+    this.librarySearchInput = document.getElementById('library-search');
+    this.defaultColorModeSelect = document.getElementById('default-color-mode');
+    this.colorTintInput = document.getElementById('color-tint');
     this.toggleSidebarButton = document.getElementById('toggle-sidebar');
     this.clearAllButton = document.getElementById('clear-all-btn');
     this.tabsContainer = document.getElementById('tabs');
@@ -94,8 +117,20 @@ class PinkReaderApp {
     
     // Initialize viewers
     this.pdfViewer = new PDFViewer(this.pdfViewerElement, this.mediaManager);
+    this.pdfTileLayer = new PDFTileLayer(this.pdfViewerElement, this.pdfViewer);
+    this.pdfTextLayer = new PDFTextLayer(this.pdfViewerElement, this.pdfViewer);
+    this.pdfLinkLayer = new PDFLinkLayer(this.pdfViewerElement, this.pdfViewer);
+    this.pdfFormLayer = new PDFFormLayer(this.pdfViewerElement, this.pdfViewer, this.mediaManager);
+    this.pdfSearch = new PDFSearch(this.pdfViewerElement, this.pdfViewer);
+    this.pdfOutline = new PDFOutline(this.pdfViewerElement, this.pdfViewer);
+    this.pdfThumbnails = new PDFThumbnails(this.pdfViewerElement, this.pdfViewer);
+    this.pdfBookmarks = new PDFBookmarks(this.pdfViewerElement, this.pdfViewer, this.mediaManager);
+    this.pdfProperties = new PDFProperties(this.pdfViewerElement, this.pdfViewer, this.mediaManager);
+    this.pdfPresentation = new PDFPresentation(this.pdfViewerElement, this.pdfViewer);
+    this.pdfReadAloud = new PDFReadAloud(this.pdfViewerElement, this.pdfViewer, this.mediaManager);
     this.imageViewer = new ImageViewer(this.imageViewerElement, this.mediaManager);
     this.videoPlayer = new VideoPlayer(this.videoViewerElement, this.mediaManager);
+    this.navigationHistory = new NavigationHistory(this.mediaManager, this.pdfViewer);
     
     // Wait for MediaManager to initialize
     await new Promise(resolve => {
@@ -121,8 +156,24 @@ class PinkReaderApp {
     
     // File input
     this.addFileButton?.addEventListener('click', () => this.openFileDialog());
+    this.importDirectionSelect?.addEventListener('change', (e) => {
+      this.mediaManager.setDefaultReadingDirection(e.target.value);
+    });
+    
+    // Reading colour mode
+    this.defaultColorModeSelect?.addEventListener('change', (e) => {
+      this.mediaManager.setColorMode(e.target.value);
+    });
+    this.colorTintInput?.addEventListener('change', (e) => {
+      this.mediaManager.setColorTint(e.target.value);
+    });
     this.fileInput?.addEventListener('change', (e) => this.handleFileInput(e));
     
+    // Library search (file names and PDF document information)
+    this.librarySearchInput?.addEventListener('input', () => {
+      this.updateFileGrid(this.mediaManager.files);
+    });
+    
     // Sidebar toggle
     this.toggleSidebarButton?.addEventListener('click', () => this.toggleSidebar());
     
@@ -220,6 +271,37 @@ class PinkReaderApp {
       }
       this.hideContextMenu();
     });
+    
+    // Annotation export / import
+    document.getElementById('export-annotations-json')?.addEventListener('click', () => {
+      if (this.currentContextFile) {
+        this.exportAnnotations(this.currentContextFile, 'json');
+      }
+      this.hideContextMenu();
+    });
+    
+    document.getElementById('export-annotations-xfdf')?.addEventListener('click', () => {
+      if (this.currentContextFile) {
+        this.exportAnnotations(this.currentContextFile, 'xfdf');
+      }
+      this.hideContextMenu();
+    });
+    
+    document.getElementById('import-annotations')?.addEventListener('click', () => {
+      this.annotationImportFile = this.currentContextFile;
+      this.hideContextMenu();
+      this.annotationFileInput?.click();
+    });
+    
+    this.annotationFileInput?.addEventListener('change', async (e) => {
+      const [sourceFile] = e.target.files;
+      e.target.value = '';
+      
+      if (sourceFile && this.annotationImportFile) {
+        await this.importAnnotations(this.annotationImportFile, sourceFile);
+      }
+      this.annotationImportFile = null;
+    });
   }
 
   /**
@@ -266,7 +348,9 @@ class PinkReaderApp {
     
     for (const file of files) {
       try {
-        await this.mediaManager.addFile(file);
+        await this.mediaManager.addFile(file, {
+          readingDirection: this.importDirectionSelect?.value
+        });
         importedCount++;
       } catch (error) {
         console.error(`Failed to import ${file.name}:`, error);
@@ -338,7 +422,11 @@ class PinkReaderApp {
     
     this.fileGrid.innerHTML = '';
     
-    files.forEach(file => {
+    // Tabs keep every file, the grid only shows search matches
+    const query = this.librarySearchInput?.value.trim();
+    const shownFiles = query ? this.mediaManager.searchFiles(query) : files;
+    
+    shownFiles.forEach(file => {
       const thumbnail = this.createFileThumbnail(file);
       this.fileGrid.appendChild(thumbnail);
     });
@@ -485,6 +573,15 @@ class PinkReaderApp {
         this.sidebar?.classList.add('hidden');
       }
     }
+    if (settings.defaultReadingDirection && this.importDirectionSelect) {
+      this.importDirectionSelect.value = settings.defaultReadingDirection;
+    }
+    if (settings.colorMode && this.defaultColorModeSelect) {
+      this.defaultColorModeSelect.value = settings.colorMode;
+    }
+    if (settings.colorTint && this.colorTintInput) {
+      this.colorTintInput.value = settings.colorTint;
+    }
   }
 
   /**
@@ -513,6 +610,12 @@ class PinkReaderApp {
     
     this.currentContextFile = file;
     
+    // Annotations exist for PDFs and images; XFDF only makes sense for PDFs
+    const canAnnotate = file.mediaType === 'pdf' || file.mediaType === 'image';
+    document.getElementById('export-annotations-json')?.classList.toggle('hidden', !canAnnotate);
+    document.getElementById('export-annotations-xfdf')?.classList.toggle('hidden', file.mediaType !== 'pdf');
+    document.getElementById('import-annotations')?.classList.toggle('hidden', !canAnnotate);
+    
     this.contextMenu.style.left = `${e.pageX}px`;
     this.contextMenu.style.top = `${e.pageY}px`;
     this.contextMenu.classList.remove('hidden');
@@ -537,10 +640,87 @@ class PinkReaderApp {
     }
   }
 
+  /**
+   * Export a file's annotations as JSON or XFDF
+   */
+  async exportAnnotations(file, format) {
+    try {
+      const annotations = await this.mediaManager.getAnnotations(file.id);
+      if (annotations.length === 0) {
+        Utils.showToast('このファイルには注釈がありません', 'warning');
+        return;
+      }
+      
+      const baseName = file.fileName.replace(/\.[^.]+$/, '');
+      const blob = format === 'xfdf'
+        ? AnnotationFormats.toXFDF(file, annotations)
+        : AnnotationFormats.toJSON(file, annotations);
+      Utils.downloadBlob(blob, `${baseName}.${format === 'xfdf' ? 'xfdf' : 'annotations.json'}`);
+      
+      Utils.showToast(`${annotations.length}件の注釈をエクスポートしました`, 'success');
+    } catch (error) {
+      console.error('Failed to export annotations:', error);
+      Utils.showToast('注釈のエクスポートに失敗しました', 'error');
+    }
+  }
+
+  /**
+   * Import annotations from an exported JSON or XFDF file
+   */
+  async importAnnotations(file, sourceFile) {
+    let parsed;
+    try {
+      parsed = AnnotationFormats.parse(await sourceFile.text());
+    } catch (error) {
+      console.error('Failed to read annotations:', error);
+      Utils.showToast(`注釈を読み込めませんでした: ${error.message}`, 'error');
+      return;
+    }
+    
+    // Make sure the annotations land on the file they were made for
+    let target = file;
+    const { source } = parsed;
+    if (!AnnotationFormats.matchesFile(source, file)) {
+      const match = this.mediaManager.files.find(f => AnnotationFormats.matchesFile(source, f));
+      if (match && confirm(`この注釈は「${match.fileName}」のものです。そちらに読み込みますか？`)) {
+        target = match;
+      } else if (!confirm(`この注釈は「${source.fileName || '不明なファイル'}」用です。「${file.fileName}」に読み込みますか？`)) {
+        return;
+      }
+    }
+    
+    // Drop annotations on pages the target does not have
+    const pageCount = target.mediaType === 'pdf' ? target.pageCount : 1;
+    let annotations = parsed.annotations.filter(annotation => !pageCount || annotation.pageNumber <= pageCount);
+    const skipped = parsed.skipped + parsed.annotations.length - annotations.length;
+    
+    if (annotations.length === 0) {
+      Utils.showToast('読み込める注釈がありませんでした', 'warning');
+      return;
+    }
+    
+    // IDs are kept only when re-importing into the file the annotations came from;
+    // on another file they would replace the originals
+    if (!AnnotationFormats.matchesFile(source, target)) {
+      annotations = annotations.map(annotation => ({ ...annotation, id: Utils.generateUUID() }));
+    }
+    
+    try {
+      await this.mediaManager.importAnnotations(target.id, annotations);
+      const note = skipped > 0 ? `（${skipped}件は読み込めませんでした）` : '';
+      Utils.showToast(`${annotations.length}件の注釈を読み込みました${note}`, 'success');
+    } catch (error) {
+      console.error('Failed to import annotations:', error);
+      Utils.showToast('注釈の保存に失敗しました', 'error');
+    }
+  }
+
   /**
    * Handle keyboard shortcuts
    */
   handleKeyboardShortcuts(e) {
+    if (Utils.isEditableTarget(e.target)) return;
+    
     // Global shortcuts
     if (e.ctrlKey || e.metaKey) {
       switch (e.key) {
@@ -627,6 +807,17 @@ class PinkReaderApp {
    * Cleanup resources
    */
   cleanup() {
+    this.pdfReadAloud?.dispose();
+    this.pdfPresentation?.dispose();
+    this.pdfBookmarks?.dispose();
+    this.pdfProperties?.dispose();
+    this.pdfThumbnails?.dispose();
+    this.pdfOutline?.dispose();
+    this.pdfSearch?.dispose();
+    this.pdfFormLayer?.dispose();
+    this.pdfLinkLayer?.dispose();
+    this.pdfTextLayer?.dispose();
+    this.pdfTileLayer?.dispose();
     this.pdfViewer?.dispose();
     this.imageViewer?.dispose();
     this.videoPlayer?.dispose();
@@ -15,6 +15,12 @@ class ImageViewer {
     this.zoomInButton = null;
     this.zoomOutButton = null;
     this.zoomResetButton = null;
+    this.rotateLeftButton = null;
+    this.rotateRightButton = null;
+    this.flipHorizontalButton = null;
+    this.flipVerticalButton = null;
+    this.annotationLayer = null;
+    this.colorMode = null;
     
     // State
     this.currentFile = null;
@@ -22,6 +28,9 @@ class ImageViewer {
     this.minScale = 0.1;
     this.maxScale = 5.0;
     this.panOffset = { x: 0, y: 0 };
+    this.rotation = 0;
+    this.flipHorizontal = false;
+    this.flipVertical = false;
     this.imageNaturalSize = { width: 0, height: 0 };
     this.containerSize = { width: 0, height: 0 };
     
@@ -45,6 +54,14 @@ class ImageViewer {
     this.setupDOM();
     this.setupEventListeners();
     
+    // Annotations are drawn in image pixels and follow the image transform
+    this.annotationLayer = new AnnotationLayer(this.container, this.mediaManager, {
+      isActive: () => !!this.currentFile && this.currentFile.mediaType === 'image'
+    });
+    this.colorMode = new ReadingColorMode(this.container, this.mediaManager, {
+      isActive: () => this.mediaManager.currentFile?.mediaType === 'image'
+    });
+    
     // Listen for media manager events
     this.mediaManager.on('currentFileChanged', (file) => {
       if (file && file.mediaType === 'image') {
@@ -68,6 +85,11 @@ class ImageViewer {
     this.zoomInButton = this.container.querySelector('#zoom-in');
     this.zoomOutButton = this.container.querySelector('#zoom-out');
     this.zoomResetButton = this.container.querySelector('#zoom-reset');
+    
+    this.rotateLeftButton = this.container.querySelector('#rotate-image-left');
+    this.rotateRightButton = this.container.querySelector('#rotate-image-right');
+    this.flipHorizontalButton = this.container.querySelector('#flip-horizontal');
+    this.flipVerticalButton = this.container.querySelector('#flip-vertical');
   }
 
   /**
@@ -79,6 +101,12 @@ class ImageViewer {
     this.zoomOutButton?.addEventListener('click', () => this.zoomOut());
     this.zoomResetButton?.addEventListener('click', () => this.resetZoom());
     
+    // Rotate and flip buttons
+    this.rotateLeftButton?.addEventListener('click', () => this.rotate(-90));
+    this.rotateRightButton?.addEventListener('click', () => this.rotate(90));
+    this.flipHorizontalButton?.addEventListener('click', () => this.flip('horizontal'));
+    this.flipVerticalButton?.addEventListener('click', () => this.flip('vertical'));
+    
     // Image element events
     if (this.imageElement) {
       this.boundImageLoad = this.onImageLoad.bind(this);
@@ -118,6 +146,7 @@ class ImageViewer {
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
       if (!this.currentFile || this.currentFile.mediaType !== 'image') return;
+      if (Utils.isEditableTarget(e.target)) return;
       
       switch (e.key) {
         case '+':
@@ -138,6 +167,24 @@ class ImageViewer {
           e.preventDefault();
           this.fitImageToContainer();
           break;
+        case 'r':
+        case 'R':
+          if (e.ctrlKey || e.metaKey || e.altKey) break;
+          e.preventDefault();
+          this.rotate(e.shiftKey ? -90 : 90);
+          break;
+        case 'h':
+        case 'H':
+          if (e.ctrlKey || e.metaKey || e.altKey) break;
+          e.preventDefault();
+          this.flip('horizontal');
+          break;
+        case 'v':
+        case 'V':
+          if (e.ctrlKey || e.metaKey || e.altKey) break;
+          e.preventDefault();
+          this.flip('vertical');
+          break;
       }
     });
   }
@@ -153,12 +200,18 @@ class ImageViewer {
       // Reset previous state
       this.resetTransform();
       
+      // Restore saved orientation
+      this.rotation = Utils.normalizeRotation(file.rotation || 0);
+      this.flipHorizontal = !!file.flipHorizontal;
+      this.flipVertical = !!file.flipVertical;
+      
       // Get file data from MediaManager
       const fileBlob = await this.mediaManager.getFileData(file.id);
       const imageUrl = URL.createObjectURL(fileBlob);
       
       // Load image
       this.imageElement.src = imageUrl;
+      this.annotationLayer.setFile(file.id);
       
       console.log(`Image loaded: ${file.fileName}`);
     } catch (error) {
@@ -189,6 +242,10 @@ class ImageViewer {
     }
     
     this.currentFile = null;
+    this.rotation = 0;
+    this.flipHorizontal = false;
+    this.flipVertical = false;
+    this.annotationLayer?.clear();
     this.resetTransform();
     this.setLoadingState(false);
   }
@@ -250,16 +307,17 @@ class ImageViewer {
       return;
     }
     
+    const displaySize = this.getDisplaySize();
     const containerAspect = this.containerSize.width / this.containerSize.height;
-    const imageAspect = this.imageNaturalSize.width / this.imageNaturalSize.height;
+    const imageAspect = displaySize.width / displaySize.height;
     
     let fitScale;
     if (imageAspect > containerAspect) {
       // Image is wider - fit to width
-      fitScale = (this.containerSize.width - 40) / this.imageNaturalSize.width;
+      fitScale = (this.containerSize.width - 40) / displaySize.width;
     } else {
       // Image is taller - fit to height
-      fitScale = (this.containerSize.height - 40) / this.imageNaturalSize.height;
+      fitScale = (this.containerSize.height - 40) / displaySize.height;
     }
     
     // Allow scaling up to fill container, but limit maximum scale
@@ -308,19 +366,96 @@ class ImageViewer {
     this.updateControls();
   }
 
+  /**
+   * Get the image size after rotation (width and height swap at 90° and 270°)
+   */
+  getDisplaySize() {
+    const { width, height } = this.imageNaturalSize;
+    return this.rotation % 180 === 0 ? { width, height } : { width: height, height: width };
+  }
+
+  /**
+   * Build the CSS transform for the image
+   * Rotation and flips happen around the image centre, so the centre stays where
+   * pan and zoom put it
+   */
+  getTransformString() {
+    const halfWidth = this.imageNaturalSize.width / 2;
+    const halfHeight = this.imageNaturalSize.height / 2;
+    const flipX = this.flipHorizontal ? -1 : 1;
+    const flipY = this.flipVertical ? -1 : 1;
+    
+    return `translate(${this.panOffset.x}px, ${this.panOffset.y}px) scale(${this.scale}) ` +
+      `translate(${halfWidth}px, ${halfHeight}px) rotate(${this.rotation}deg) ` +
+      `scale(${flipX}, ${flipY}) translate(${-halfWidth}px, ${-halfHeight}px)`;
+  }
+
   /**
    * Apply current transform to image
    */
   applyTransform() {
+    const transform = this.getTransformString();
+    
     if (this.imageElement) {
       // Set natural size first, then apply scale and translation
       this.imageElement.style.width = `${this.imageNaturalSize.width}px`;
       this.imageElement.style.height = `${this.imageNaturalSize.height}px`;
-      this.imageElement.style.transform = 
-        `translate(${this.panOffset.x}px, ${this.panOffset.y}px) scale(${this.scale})`;
+      this.imageElement.style.transform = transform;
+    }
+    
+    if (this.currentFile && this.imageNaturalSize.width) {
+      this.annotationLayer.setSurfaces([{
+        pageNumber: 1,
+        left: 0,
+        top: 0,
+        width: this.imageNaturalSize.width,
+        height: this.imageNaturalSize.height,
+        transform,
+        matrix: [1, 0, 0, 1, 0, 0]
+      }]);
     }
   }
 
+  /**
+   * Rotate the image
+   * @param {number} delta - Degrees to rotate by (multiple of 90, positive is clockwise)
+   */
+  rotate(delta) {
+    if (!this.currentFile) return;
+    
+    this.rotation = Utils.normalizeRotation(this.rotation + delta);
+    this.saveOrientation();
+    this.resetZoom();
+  }
+
+  /**
+   * Mirror the image
+   * @param {string} axis - 'horizontal' or 'vertical'
+   */
+  flip(axis) {
+    if (!this.currentFile) return;
+    
+    if (axis === 'horizontal') {
+      this.flipHorizontal = !this.flipHorizontal;
+    } else {
+      this.flipVertical = !this.flipVertical;
+    }
+    this.saveOrientation();
+    this.applyTransform();
+    this.updateControls();
+  }
+
+  /**
+   * Save rotation and flips to the file metadata
+   */
+  saveOrientation() {
+    this.mediaManager.updateViewState(this.currentFile, {
+      rotation: this.rotation,
+      flipHorizontal: this.flipHorizontal,
+      flipVertical: this.flipVertical
+    });
+  }
+
   /**
    * Reset transform to initial state
    */
@@ -581,6 +716,12 @@ class ImageViewer {
     if (this.zoomResetButton) {
       this.zoomResetButton.disabled = !this.currentFile;
     }
+    [this.rotateLeftButton, this.rotateRightButton, this.flipHorizontalButton, this.flipVerticalButton]
+      .forEach(button => {
+        if (button) button.disabled = !this.currentFile;
+      });
+    this.flipHorizontalButton?.classList.toggle('active', this.flipHorizontal);
+    this.flipVerticalButton?.classList.toggle('active', this.flipVertical);
   }
 
   /**
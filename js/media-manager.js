@@ -8,20 +8,28 @@ class MediaManager {
   constructor() {
     this.files = [];
     this.currentFile = null;
-    this.isTwoPageMode = false;
+    this.layoutMode = 'single';
+    this.showCoverPage = true;
     this.sidebarVisible = true;
+    this.defaultReadingDirection = 'ltr';
+    this.colorMode = 'normal';
+    this.colorTint = MediaManager.DEFAULT_COLOR_TINT;
+    this.fileColorModes = {};
+    this.readAloud = { ...MediaManager.DEFAULT_READ_ALOUD };
     this.forceUpdateTrigger = Utils.generateUUID();
     
     // IndexedDB setup
     this.dbName = 'PinkReaderDB';
-    this.dbVersion = 1;
+    this.dbVersion = 4;
     this.db = null;
     
     // Event listeners
     this.eventListeners = {
       'filesChanged': [],
       'currentFileChanged': [],
-      'settingsChanged': []
+      'settingsChanged': [],
+      'bookmarksChanged': [],
+      'annotationsChanged': []
     };
     
     this.init();
@@ -78,6 +86,24 @@ class MediaManager {
         if (!db.objectStoreNames.contains('settings')) {
           db.createObjectStore('settings', { keyPath: 'key' });
         }
+        
+        // Create bookmarks object store (per-page user bookmarks)
+        if (!db.objectStoreNames.contains('bookmarks')) {
+          const bookmarksStore = db.createObjectStore('bookmarks', { keyPath: 'id' });
+          bookmarksStore.createIndex('fileId', 'fileId', { unique: false });
+        }
+        
+        // Create annotations object store (highlights, ink and notes per page)
+        if (!db.objectStoreNames.contains('annotations')) {
+          const annotationsStore = db.createObjectStore('annotations', { keyPath: 'id' });
+          annotationsStore.createIndex('fileId', 'fileId', { unique: false });
+          annotationsStore.createIndex('filePage', ['fileId', 'pageNumber'], { unique: false });
+        }
+        
+        // Create form values object store (AcroForm field values, one record per file)
+        if (!db.objectStoreNames.contains('formValues')) {
+          db.createObjectStore('formValues', { keyPath: 'fileId' });
+        }
       };
     });
   }
@@ -142,22 +168,50 @@ class MediaManager {
       const store = transaction.objectStore('settings');
       
       const settings = await Promise.all([
+        this.getSetting('layoutMode'),
+        this.getSetting('sidebarVisible'),
+        this.getSetting('showCoverPage'),
         this.getSetting('isTwoPageMode'),
-        this.getSetting('sidebarVisible')
+        this.getSetting('defaultReadingDirection'),
+        this.getSetting('colorMode'),
+        this.getSetting('colorTint'),
+        this.getSetting('fileColorModes'),
+        this.getSetting('readAloud')
       ]);
       
-      this.isTwoPageMode = settings[0]?.value ?? false;
+      // Older versions only stored whether two-page mode was on
+      this.layoutMode = settings[0]?.value ?? (settings[3]?.value ? 'double' : 'single');
       this.sidebarVisible = settings[1]?.value ?? true;
-      
-      this.emit('settingsChanged', {
-        isTwoPageMode: this.isTwoPageMode,
-        sidebarVisible: this.sidebarVisible
-      });
+      this.showCoverPage = settings[2]?.value ?? true;
+      this.defaultReadingDirection = settings[4]?.value ?? 'ltr';
+      this.colorMode = settings[5]?.value ?? 'normal';
+      this.colorTint = settings[6]?.value ?? MediaManager.DEFAULT_COLOR_TINT;
+      this.fileColorModes = settings[7]?.value ?? {};
+      this.readAloud = { ...MediaManager.DEFAULT_READ_ALOUD, ...settings[8]?.value };
+      
+      this.emit('settingsChanged', this.getSettings());
     } catch (error) {
       console.error('Failed to load settings:', error);
     }
   }
 
+  /**
+   * Get current settings snapshot
+   */
+  getSettings() {
+    return {
+      layoutMode: this.layoutMode,
+      isTwoPageMode: this.layoutMode === 'double',
+      showCoverPage: this.showCoverPage,
+      sidebarVisible: this.sidebarVisible,
+      defaultReadingDirection: this.defaultReadingDirection,
+      colorMode: this.colorMode,
+      colorTint: this.colorTint,
+      fileColorModes: { ...this.fileColorModes },
+      readAloud: { ...this.readAloud }
+    };
+  }
+
   /**
    * Get a setting from IndexedDB
    */
@@ -201,13 +255,18 @@ class MediaManager {
 
   /**
    * Add a file to the library
+   * @param {File} file - File to import
+   * @param {Object} options - Import options ({readingDirection: 'ltr' | 'rtl'})
    */
-  async addFile(file) {
+  async addFile(file, options = {}) {
     try {
       // Generate unique ID and create file metadata
       const fileId = Utils.generateUUID();
       const mediaType = Utils.getMediaType(file.name);
       const importDate = new Date().toISOString();
+      const readingDirection = MediaManager.READING_DIRECTIONS.includes(options.readingDirection)
+        ? options.readingDirection
+        : this.defaultReadingDirection;
       
       // Create thumbnail
       const thumbnailDataUrl = await Utils.createThumbnail(file);
@@ -226,8 +285,9 @@ class MediaManager {
         thumbnailDataUrl,
         
         // PDF specific
-        pageCount: mediaType === 'pdf' ? await this.getPDFPageCount(file) : null,
+        ...(mediaType === 'pdf' ? await this.getPDFDetails(file) : { pageCount: null }),
         lastViewedPage: 1,
+        readingDirection,
         
         // Video specific
         lastViewedTime: 0.0,
@@ -293,18 +353,23 @@ class MediaManager {
   }
 
   /**
-   * Get PDF page count
+   * Get the page count and document information of a PDF
+   * @returns {Promise<Object>} {pageCount, metadata} (null when the file cannot be read)
    */
-  async getPDFPageCount(file) {
-    if (typeof pdfjsLib === 'undefined') return null;
+  async getPDFDetails(file) {
+    if (typeof pdfjsLib === 'undefined') return { pageCount: null, metadata: null };
     
     try {
       const arrayBuffer = await Utils.fileToArrayBuffer(file);
       const pdf = await pdfjsLib.getDocument(arrayBuffer).promise;
-      return pdf.numPages;
+      const metadata = await Utils.getPDFMetadata(pdf).catch(() => null);
+      const pageCount = pdf.numPages;
+      pdf.destroy();
+      return { pageCount, metadata };
     } catch (error) {
-      console.warn('Failed to get PDF page count:', error);
-      return null;
+      // Encrypted files are read once unlocked in the viewer
+      console.warn('Failed to read PDF details:', error);
+      return { pageCount: null, metadata: null };
     }
   }
 
@@ -316,10 +381,21 @@ class MediaManager {
       // Remove from files array
       this.files = this.files.filter(f => f.id !== file.id);
       
-      // Remove file data from IndexedDB
-      const transaction = this.db.transaction(['fileData'], 'readwrite');
-      const store = transaction.objectStore('fileData');
-      store.delete(file.id);
+      // Remove file data and form values from IndexedDB
+      const transaction = this.db.transaction(['fileData', 'formValues'], 'readwrite');
+      transaction.objectStore('fileData').delete(file.id);
+      transaction.objectStore('formValues').delete(file.id);
+      
+      // Remove records that belong to the file
+      await this.deleteRecordsByFileId('bookmarks', file.id);
+      await this.deleteRecordsByFileId('annotations', file.id);
+      this.emit('bookmarksChanged', file.id);
+      this.emit('annotationsChanged', file.id);
+      
+      if (file.id in this.fileColorModes) {
+        delete this.fileColorModes[file.id];
+        await this.saveSetting('fileColorModes', this.fileColorModes);
+      }
       
       // Update current file if necessary
       if (this.currentFile && this.currentFile.id === file.id) {
@@ -345,22 +421,19 @@ class MediaManager {
       this.setCurrentFile(null);
       
       // Clear IndexedDB stores
-      const transaction = this.db.transaction(['files', 'fileData'], 'readwrite');
-      const filesStore = transaction.objectStore('files');
-      const fileDataStore = transaction.objectStore('fileData');
+      const storeNames = ['files', 'fileData', 'bookmarks', 'annotations', 'formValues'];
+      const transaction = this.db.transaction(storeNames, 'readwrite');
       
-      await Promise.all([
+      await Promise.all(storeNames.map(storeName => 
         new Promise((resolve, reject) => {
-          const request = filesStore.clear();
-          request.onsuccess = () => resolve();
-          request.onerror = () => reject(request.error);
-        }),
-        new Promise((resolve, reject) => {
-          const request = fileDataStore.clear();
+          const request = transaction.objectStore(storeName).clear();
           request.onsuccess = () => resolve();
           request.onerror = () => reject(request.error);
         })
-      ]);
+      ));
+      
+      this.fileColorModes = {};
+      await this.saveSetting('fileColorModes', this.fileColorModes);
       
       this.emit('filesChanged', this.files);
       
@@ -371,6 +444,182 @@ class MediaManager {
     }
   }
 
+  /**
+   * Delete every record of a store that belongs to a file
+   */
+  deleteRecordsByFileId(storeName, fileId) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([storeName], 'readwrite');
+      const index = transaction.objectStore(storeName).index('fileId');
+      const request = index.openCursor(IDBKeyRange.only(fileId));
+      
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          cursor.delete();
+          cursor.continue();
+        }
+      };
+      request.onerror = () => reject(request.error);
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Get bookmarks for a file, sorted by page
+   */
+  getBookmarks(fileId) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['bookmarks'], 'readonly');
+      const index = transaction.objectStore('bookmarks').index('fileId');
+      const request = index.getAll(IDBKeyRange.only(fileId));
+      
+      request.onsuccess = () => {
+        const bookmarks = request.result || [];
+        bookmarks.sort((a, b) => a.pageNumber - b.pageNumber);
+        resolve(bookmarks);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Add or update a bookmark
+   */
+  saveBookmark(bookmark) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['bookmarks'], 'readwrite');
+      const store = transaction.objectStore('bookmarks');
+      const request = store.put(bookmark);
+      
+      request.onsuccess = () => {
+        this.emit('bookmarksChanged', bookmark.fileId);
+        resolve(bookmark);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Delete a bookmark
+   */
+  deleteBookmark(bookmark) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['bookmarks'], 'readwrite');
+      const store = transaction.objectStore('bookmarks');
+      const request = store.delete(bookmark.id);
+      
+      request.onsuccess = () => {
+        this.emit('bookmarksChanged', bookmark.fileId);
+        resolve();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Get annotations for a file (optionally a single page)
+   */
+  getAnnotations(fileId, pageNumber = null) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['annotations'], 'readonly');
+      const store = transaction.objectStore('annotations');
+      const request = pageNumber === null
+        ? store.index('fileId').getAll(IDBKeyRange.only(fileId))
+        : store.index('filePage').getAll(IDBKeyRange.only([fileId, pageNumber]));
+      
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Add or update an annotation
+   */
+  saveAnnotation(annotation) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['annotations'], 'readwrite');
+      const store = transaction.objectStore('annotations');
+      const request = store.put(annotation);
+      
+      request.onsuccess = () => resolve(annotation);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Delete an annotation
+   */
+  deleteAnnotation(annotation) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['annotations'], 'readwrite');
+      const store = transaction.objectStore('annotations');
+      const request = store.delete(annotation.id);
+      
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Store imported annotations for a file in one transaction
+   * Annotations with an existing ID of the same file replace the stored one, so importing
+   * twice is harmless. An ID already used on another file gets a new one instead
+   */
+  importAnnotations(fileId, annotations) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['annotations'], 'readwrite');
+      const store = transaction.objectStore('annotations');
+      
+      annotations.forEach(annotation => {
+        const request = store.get(annotation.id);
+        request.onsuccess = () => {
+          const existing = request.result;
+          const id = existing && existing.fileId !== fileId ? Utils.generateUUID() : annotation.id;
+          store.put({ ...annotation, id, fileId });
+        };
+      });
+      
+      transaction.oncomplete = () => {
+        this.emit('annotationsChanged', fileId);
+        resolve(annotations.length);
+      };
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Get the stored form field values of a file
+   * @returns {Promise<Object>} Values by form field (widget annotation) ID
+   */
+  getFormValues(fileId) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['formValues'], 'readonly');
+      const store = transaction.objectStore('formValues');
+      const request = store.get(fileId);
+      
+      request.onsuccess = () => resolve(request.result?.values || {});
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Store the form field values of a file
+   * @param {string} fileId - File ID
+   * @param {Object} values - Values by form field (widget annotation) ID
+   */
+  saveFormValues(fileId, values) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['formValues'], 'readwrite');
+      const store = transaction.objectStore('formValues');
+      const request = store.put({ fileId, values, updatedDate: new Date().toISOString() });
+      
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
   /**
    * Set current file
    */
@@ -399,6 +648,45 @@ class MediaManager {
     }
   }
 
+  /**
+   * Update persisted view state of a file (rotation, page rotations, flips)
+   * @param {Object} file - File metadata
+   * @param {Object} state - Properties to store on the file record
+   */
+  async updateViewState(file, state) {
+    const fileIndex = this.files.findIndex(f => f.id === file.id);
+    if (fileIndex !== -1) {
+      Object.assign(this.files[fileIndex], state);
+      
+      // Update current file if it's the same
+      if (this.currentFile && this.currentFile.id === file.id) {
+        Object.assign(this.currentFile, state);
+      }
+      
+      this.debouncedSave();
+    }
+  }
+
+  /**
+   * Update details read from a file's content after import (page count, thumbnail, metadata)
+   * or the display name
+   * @param {Object} file - File metadata
+   * @param {Object} details - Properties to store on the file record
+   */
+  async updateFileDetails(file, details) {
+    const fileIndex = this.files.findIndex(f => f.id === file.id);
+    if (fileIndex !== -1) {
+      Object.assign(this.files[fileIndex], details);
+      
+      // Update current file if it's the same
+      if (this.currentFile && this.currentFile.id === file.id) {
+        Object.assign(this.currentFile, details);
+      }
+      
+      this.emit('filesChanged', this.files);
+    }
+  }
+
   /**
    * Update last viewed time for a video file
    */
@@ -434,15 +722,101 @@ class MediaManager {
   }
 
   /**
-   * Toggle two-page mode
+   * Set the PDF layout ('single', 'double' or 'scroll')
    */
-  async toggleTwoPageMode() {
-    this.isTwoPageMode = !this.isTwoPageMode;
-    await this.saveSetting('isTwoPageMode', this.isTwoPageMode);
-    this.emit('settingsChanged', {
-      isTwoPageMode: this.isTwoPageMode,
-      sidebarVisible: this.sidebarVisible
-    });
+  async setLayoutMode(layoutMode) {
+    if (!MediaManager.LAYOUT_MODES.includes(layoutMode)) return;
+    
+    this.layoutMode = layoutMode;
+    await this.saveSetting('layoutMode', this.layoutMode);
+    this.emit('settingsChanged', this.getSettings());
+  }
+
+  /**
+   * Switch to the next PDF layout (single page → two-page → continuous scroll)
+   */
+  async cycleLayoutMode() {
+    const modes = MediaManager.LAYOUT_MODES;
+    await this.setLayoutMode(modes[(modes.indexOf(this.layoutMode) + 1) % modes.length]);
+  }
+
+  /**
+   * Set the reading direction new files are imported with ('ltr' or 'rtl')
+   */
+  async setDefaultReadingDirection(direction) {
+    if (!MediaManager.READING_DIRECTIONS.includes(direction)) return;
+    
+    this.defaultReadingDirection = direction;
+    await this.saveSetting('defaultReadingDirection', this.defaultReadingDirection);
+    this.emit('settingsChanged', this.getSettings());
+  }
+
+  /**
+   * Get the colour mode a file is shown in (its own, or the default)
+   * @param {Object|null} file - File metadata
+   * @returns {string} Colour mode
+   */
+  getColorMode(file) {
+    return (file && this.fileColorModes[file.id]) || this.colorMode;
+  }
+
+  /**
+   * Set the default colour mode of documents and images
+   */
+  async setColorMode(mode) {
+    if (!MediaManager.COLOR_MODES.includes(mode)) return;
+    
+    this.colorMode = mode;
+    await this.saveSetting('colorMode', this.colorMode);
+    this.emit('settingsChanged', this.getSettings());
+  }
+
+  /**
+   * Set the colour mode of one file
+   * @param {Object} file - File metadata
+   * @param {string|null} mode - Colour mode, or null to follow the default
+   */
+  async setFileColorMode(file, mode) {
+    if (mode && !MediaManager.COLOR_MODES.includes(mode)) return;
+    
+    if (mode) {
+      this.fileColorModes[file.id] = mode;
+    } else {
+      delete this.fileColorModes[file.id];
+    }
+    await this.saveSetting('fileColorModes', this.fileColorModes);
+    this.emit('settingsChanged', this.getSettings());
+  }
+
+  /**
+   * Set the colour of the custom tint mode
+   * @param {string} color - Hex colour (#rrggbb)
+   */
+  async setColorTint(color) {
+    if (!/^#[0-9a-f]{6}$/i.test(color)) return;
+    
+    this.colorTint = color;
+    await this.saveSetting('colorTint', this.colorTint);
+    this.emit('settingsChanged', this.getSettings());
+  }
+
+  /**
+   * Set the voice, rate or pitch of read-aloud
+   * @param {Object} options - Any of {voiceURI, rate, pitch} (voiceURI null for the browser's default voice)
+   */
+  async setReadAloudOptions(options) {
+    this.readAloud = { ...this.readAloud, ...options };
+    await this.saveSetting('readAloud', this.readAloud);
+    this.emit('settingsChanged', this.getSettings());
+  }
+
+  /**
+   * Toggle whether page 1 is shown alone as a cover in two-page mode
+   */
+  async toggleCoverPage() {
+    this.showCoverPage = !this.showCoverPage;
+    await this.saveSetting('showCoverPage', this.showCoverPage);
+    this.emit('settingsChanged', this.getSettings());
   }
 
   /**
@@ -451,10 +825,7 @@ class MediaManager {
   async toggleSidebar() {
     this.sidebarVisible = !this.sidebarVisible;
     await this.saveSetting('sidebarVisible', this.sidebarVisible);
-    this.emit('settingsChanged', {
-      isTwoPageMode: this.isTwoPageMode,
-      sidebarVisible: this.sidebarVisible
-    });
+    this.emit('settingsChanged', this.getSettings());
   }
 
   /**
@@ -476,10 +847,21 @@ class MediaManager {
    */
   searchFiles(query) {
     const lowerQuery = query.toLowerCase();
-    return this.files.filter(file => 
-      file.fileName.toLowerCase().includes(lowerQuery) ||
-      file.displayName.toLowerCase().includes(lowerQuery)
-    );
+    return this.files.filter(file => MediaManager.getSearchText(file).includes(lowerQuery));
+  }
+
+  /**
+   * Get the text a file is found by in library search: its names and PDF document information
+   * @param {Object} file - File metadata
+   * @returns {string} Lowercase search text
+   */
+  static getSearchText(file) {
+    const metadata = file.metadata || {};
+    return [
+      file.fileName,
+      file.displayName,
+      ...MediaManager.SEARCH_METADATA_FIELDS.map(field => metadata[field])
+    ].filter(Boolean).join('\n').toLowerCase();
   }
 
   /**
@@ -552,10 +934,7 @@ class MediaManager {
           // Remove binary data for export
           thumbnailDataUrl: undefined
         })),
-        settings: {
-          isTwoPageMode: this.isTwoPageMode,
-          sidebarVisible: this.sidebarVisible
-        }
+        settings: this.getSettings()
       };
       
       const blob = new Blob([JSON.stringify(libraryData, null, 2)], {
@@ -580,5 +959,20 @@ class MediaManager {
   }
 }
 
+// Document information fields that library search looks in
+MediaManager.SEARCH_METADATA_FIELDS = ['title', 'author', 'subject', 'keywords'];
+
+MediaManager.LAYOUT_MODES = ['single', 'double', 'scroll'];
+
+// Page order: left to right, or right to left for manga and vertical Japanese books
+MediaManager.READING_DIRECTIONS = ['ltr', 'rtl'];
+
+// Reading colour modes: as is, sepia, dark (inverted lightness) and a custom colour tint
+MediaManager.COLOR_MODES = ['normal', 'sepia', 'dark', 'tint'];
+MediaManager.DEFAULT_COLOR_TINT = '#ffe4ec';
+
+// Read-aloud voice (by voiceURI), rate and pitch (1 is normal for both)
+MediaManager.DEFAULT_READ_ALOUD = { voiceURI: null, rate: 1, pitch: 1 };
+
 // Make MediaManager available globally
 window.MediaManager = MediaManager;
\ No newline at end of file
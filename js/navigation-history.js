@@ -0,0 +1,251 @@
+// Pink Reader PWA - Navigation History Component
+
+/**
+ * NavigationHistory class - Back and forward through the places read, across files
+ * Switching files and jumping far within a PDF (links, the outline, search results, the
+ * page slider) add an entry. Every entry is also a browser history entry, so the
+ * browser's back button and Android's back gesture step back through them instead of
+ * closing the app. A location is {fileId, pageNumber}, with no page for images and videos.
+ */
+class NavigationHistory {
+  constructor(mediaManager, pdfViewer) {
+    this.mediaManager = mediaManager;
+    this.pdfViewer = pdfViewer;
+
+    // DOM elements
+    this.backButton = null;
+    this.forwardButton = null;
+
+    // Locations of the entries (updated when leaving them) and the current entry.
+    // After a reload only the current entry is known here; the others come from history.state
+    this.entries = [];
+    this.index = 0;
+
+    // File of the current entry, and whether the history itself is changing the file or page
+    this.fileId = null;
+    this.isNavigating = false;
+
+    this.init();
+  }
+
+  /**
+   * Initialize navigation history
+   */
+  init() {
+    this.setupDOM();
+    this.setupEventListeners();
+
+    // Continue the entries of this tab after a reload
+    const state = history.state?.navigation;
+    if (state) {
+      this.index = state.index;
+      this.entries[state.index] = state.location;
+    } else {
+      this.replaceEntry({ fileId: null, pageNumber: null });
+    }
+    this.updateButtons();
+  }
+
+  /**
+   * Setup DOM elements
+   */
+  setupDOM() {
+    this.backButton = document.getElementById('nav-back');
+    this.forwardButton = document.getElementById('nav-forward');
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    this.backButton?.addEventListener('click', () => NavigationHistory.goBack());
+    this.forwardButton?.addEventListener('click', () => NavigationHistory.goForward());
+
+    window.addEventListener('popstate', (e) => this.handlePopState(e.state));
+
+    document.addEventListener('keydown', (e) => {
+      if (!e.altKey || e.ctrlKey || e.metaKey || Utils.isEditableTarget(e.target)) return;
+
+      if (e.key === 'ArrowLeft') {
+        e.preventDefault();
+        NavigationHistory.goBack();
+      } else if (e.key === 'ArrowRight') {
+        e.preventDefault();
+        NavigationHistory.goForward();
+      }
+    });
+
+    this.mediaManager.on('currentFileChanged', (file) => this.handleFileChange(file));
+    this.mediaManager.on('filesChanged', () => this.updateButtons());
+    this.pdfViewer.on('pageJump', ({ from, to }) => this.handlePageJump(from, to));
+  }
+
+  /**
+   * Add an entry when another file is opened
+   */
+  handleFileChange(file) {
+    if (!file) {
+      this.fileId = null;
+      return;
+    }
+    if (file.id === this.fileId) return;
+
+    const previousFile = this.mediaManager.files.find(f => f.id === this.fileId);
+    this.fileId = file.id;
+    if (this.isNavigating) return;
+
+    // Nothing to return to (first file opened, or the previous one was removed)
+    if (!previousFile) {
+      this.replaceEntry(this.getLocation(file));
+      this.updateButtons();
+      return;
+    }
+    this.pushEntry(this.getLocation(previousFile), this.getLocation(file));
+  }
+
+  /**
+   * Add an entry when the PDF viewer jumps to a distant page
+   */
+  handlePageJump(from, to) {
+    const file = this.pdfViewer.currentFile;
+    if (this.isNavigating || !file) return;
+
+    this.pushEntry({ fileId: file.id, pageNumber: from }, { fileId: file.id, pageNumber: to });
+  }
+
+  /**
+   * Go to the entry the browser moved to
+   */
+  handlePopState(state) {
+    const navigation = state?.navigation;
+    if (!navigation) return;
+
+    // Remember where reading stopped in the entry being left
+    const currentFile = this.mediaManager.currentFile;
+    if (currentFile && currentFile.id === this.entries[this.index]?.fileId) {
+      this.entries[this.index] = this.getLocation(currentFile);
+    }
+
+    const direction = navigation.index < this.index ? -1 : 1;
+    this.index = navigation.index;
+    this.entries[this.index] = this.entries[this.index] || navigation.location;
+    this.updateButtons();
+    this.goTo(this.entries[this.index], direction);
+  }
+
+  /**
+   * Open a location without adding an entry for it
+   * @param {Object} location - Location
+   * @param {number} direction - -1 when going back, 1 when going forward
+   */
+  goTo(location, direction) {
+    const file = this.mediaManager.files.find(f => f.id === location.fileId);
+    if (!file) {
+      // Step over places in files removed since
+      if (direction < 0) {
+        NavigationHistory.goBack();
+      } else if (this.index < this.entries.length - 1) {
+        NavigationHistory.goForward();
+      }
+      return;
+    }
+
+    this.isNavigating = true;
+    try {
+      if (file.id !== this.mediaManager.currentFile?.id) {
+        // The PDF viewer opens files at their last viewed page
+        if (location.pageNumber) {
+          this.mediaManager.updateLastViewedPage(file, location.pageNumber);
+        }
+        this.mediaManager.setCurrentFile(file);
+      } else if (location.pageNumber) {
+        this.pdfViewer.goToPage(location.pageNumber);
+      }
+    } finally {
+      this.isNavigating = false;
+    }
+  }
+
+  /**
+   * Get the location a file is open at (the PDF viewer keeps its last viewed page current)
+   */
+  getLocation(file) {
+    const pageNumber = file.mediaType === 'pdf' ? file.lastViewedPage || 1 : null;
+    return { fileId: file.id, pageNumber };
+  }
+
+  /**
+   * Add an entry, dropping the entries ahead of the current one
+   * @param {Object} from - Location being left (stored in the current entry)
+   * @param {Object} to - Location of the new entry
+   */
+  pushEntry(from, to) {
+    this.replaceEntry(from);
+
+    this.entries = this.entries.slice(0, this.index + 1);
+    this.index++;
+    this.entries[this.index] = to;
+    history.pushState(this.createState(to), '');
+    this.updateButtons();
+  }
+
+  /**
+   * Change the location of the current entry
+   */
+  replaceEntry(location) {
+    this.entries[this.index] = location;
+    history.replaceState(this.createState(location), '');
+  }
+
+  /**
+   * Create the browser history state of the current entry
+   */
+  createState(location) {
+    return { ...history.state, navigation: { index: this.index, location } };
+  }
+
+  /**
+   * Enable the buttons and show where they lead
+   */
+  updateButtons() {
+    if (this.backButton) {
+      this.backButton.disabled = this.index === 0;
+      this.backButton.title = this.getButtonTitle(this.entries[this.index - 1], '戻る', 'Alt+←');
+    }
+    if (this.forwardButton) {
+      this.forwardButton.disabled = this.index >= this.entries.length - 1;
+      this.forwardButton.title = this.getButtonTitle(this.entries[this.index + 1], '進む', 'Alt+→');
+    }
+  }
+
+  /**
+   * Describe a button's destination, naming the file when it is another one
+   */
+  getButtonTitle(location, action, shortcut) {
+    const file = location && this.mediaManager.files.find(f => f.id === location.fileId);
+    if (!file) return `${action}（${shortcut}）`;
+
+    const name = file.id === this.fileId ? '' : `「${file.displayName}」`;
+    const page = location.pageNumber ? `${location.pageNumber}ページ` : '';
+    return `${name}${page}に${action}（${shortcut}）`;
+  }
+
+  /**
+   * Go back one entry. The first entry is never left, which would close the app
+   */
+  static goBack() {
+    if ((history.state?.navigation?.index || 0) > 0) {
+      history.back();
+    }
+  }
+
+  /**
+   * Go forward one entry (does nothing when there is none)
+   */
+  static goForward() {
+    history.forward();
+  }
+}
+
+// Make NavigationHistory available globally
+window.NavigationHistory = NavigationHistory;
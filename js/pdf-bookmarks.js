@@ -0,0 +1,327 @@
+// Pink Reader PWA - PDF Bookmarks Component
+
+/**
+ * PDFBookmarks class - Per-page user bookmarks for the open PDF
+ * Bookmarks are stored by MediaManager in IndexedDB alongside the file metadata
+ */
+class PDFBookmarks {
+  constructor(containerElement, pdfViewer, mediaManager) {
+    this.container = containerElement;
+    this.pdfViewer = pdfViewer;
+    this.mediaManager = mediaManager;
+
+    // DOM elements
+    this.listElement = null;
+    this.toggleButton = null;
+
+    // State
+    this.bookmarks = [];
+    this.fileId = null;
+
+    // Bookmark whose label and colour are being edited in the list, and the colour picked
+    this.editingId = null;
+    this.editingColor = null;
+
+    // Bookmark colours (first one is the default)
+    this.colors = ['#FF7BAC', '#FFB74D', '#81C784', '#64B5F6', '#BA68C8'];
+
+    this.init();
+  }
+
+  /**
+   * Initialize bookmarks
+   */
+  init() {
+    this.setupDOM();
+    this.setupEventListeners();
+
+    this.pdfViewer.on('documentLoaded', ({ file }) => this.load(file.id));
+    this.pdfViewer.on('documentCleared', () => this.clear());
+    this.pdfViewer.on('pageRendered', () => this.updateToggleButton());
+    this.pdfViewer.on('pageChanged', () => this.updateToggleButton());
+
+    this.mediaManager.on('bookmarksChanged', (fileId) => {
+      if (fileId === this.fileId) {
+        this.load(fileId);
+      }
+    });
+  }
+
+  /**
+   * Setup DOM elements
+   */
+  setupDOM() {
+    this.listElement = this.container.querySelector('#pdf-bookmarks');
+    this.toggleButton = this.container.querySelector('#toggle-bookmark');
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    this.toggleButton?.addEventListener('click', () => this.toggleCurrentPage());
+
+    this.listElement?.addEventListener('click', (e) => {
+      const item = e.target.closest('.pdf-bookmark');
+      if (!item) return;
+
+      const bookmark = this.bookmarks.find(b => b.id === item.dataset.id);
+      if (!bookmark) return;
+
+      if (bookmark.id === this.editingId) {
+        const swatch = e.target.closest('.pdf-bookmark-swatch');
+        if (swatch) {
+          this.pickColor(swatch.dataset.color);
+        } else if (e.target.closest('.pdf-bookmark-save')) {
+          this.saveEditing();
+        } else if (e.target.closest('.pdf-bookmark-cancel')) {
+          this.stopEditing();
+        }
+        return;
+      }
+
+      if (e.target.closest('.pdf-bookmark-color')) {
+        this.cycleColor(bookmark);
+      } else if (e.target.closest('.pdf-bookmark-edit')) {
+        this.startEditing(bookmark);
+      } else if (e.target.closest('.pdf-bookmark-delete')) {
+        this.mediaManager.deleteBookmark(bookmark);
+      } else {
+        this.pdfViewer.goToPage(bookmark.pageNumber);
+      }
+    });
+
+    // Enter saves the label being edited, Escape leaves it as it was
+    this.listElement?.addEventListener('keydown', (e) => {
+      if (!e.target.classList.contains('pdf-bookmark-input')) return;
+
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.saveEditing();
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        this.stopEditing();
+      }
+    });
+
+    // M toggles the bookmark on the current page
+    document.addEventListener('keydown', (e) => {
+      const file = this.pdfViewer.currentFile;
+      if (!file || file.mediaType !== 'pdf') return;
+      if (Utils.isEditableTarget(e.target) || e.ctrlKey || e.metaKey || e.altKey) return;
+
+      if (e.key === 'm' || e.key === 'M') {
+        e.preventDefault();
+        this.toggleCurrentPage();
+      }
+    });
+  }
+
+  /**
+   * Load bookmarks for a file
+   */
+  async load(fileId) {
+    this.fileId = fileId;
+
+    try {
+      const bookmarks = await this.mediaManager.getBookmarks(fileId);
+      if (this.fileId !== fileId) return;
+
+      this.bookmarks = bookmarks;
+      this.render();
+      this.updateToggleButton();
+    } catch (error) {
+      console.error('Failed to load bookmarks:', error);
+    }
+  }
+
+  /**
+   * Get the bookmark on a page, if any
+   */
+  getBookmarkForPage(pageNumber) {
+    return this.bookmarks.find(bookmark => bookmark.pageNumber === pageNumber);
+  }
+
+  /**
+   * Add or remove the bookmark on the current page
+   */
+  async toggleCurrentPage() {
+    if (!this.fileId || !this.pdfViewer.pdfDocument) return;
+
+    const pageNumber = this.pdfViewer.currentPage;
+    const existing = this.getBookmarkForPage(pageNumber);
+
+    try {
+      if (existing) {
+        await this.mediaManager.deleteBookmark(existing);
+        Utils.showToast(`${pageNumber}ページのしおりを削除しました`, 'success');
+      } else {
+        const bookmark = {
+          id: Utils.generateUUID(),
+          fileId: this.fileId,
+          pageNumber,
+          label: '',
+          color: this.colors[0],
+          createdDate: new Date().toISOString()
+        };
+
+        // Offer the label and colour right away in the bookmark list
+        this.editingId = bookmark.id;
+        this.editingColor = bookmark.color;
+        this.pdfViewer.showPanel('bookmarks');
+        await this.mediaManager.saveBookmark(bookmark);
+        Utils.showToast(`${pageNumber}ページにしおりを追加しました`, 'success');
+      }
+    } catch (error) {
+      console.error('Failed to toggle bookmark:', error);
+      Utils.showToast('しおりの保存に失敗しました', 'error');
+    }
+  }
+
+  /**
+   * Show the label and colour of a bookmark for editing in the list
+   */
+  startEditing(bookmark) {
+    this.editingId = bookmark.id;
+    this.editingColor = bookmark.color;
+    this.render();
+  }
+
+  /**
+   * Pick the colour of the bookmark being edited
+   */
+  pickColor(color) {
+    this.editingColor = color;
+    this.listElement?.querySelectorAll('.pdf-bookmark-swatch').forEach(swatch => {
+      swatch.classList.toggle('selected', swatch.dataset.color === color);
+    });
+    this.listElement?.querySelector('.pdf-bookmark-input')?.focus();
+  }
+
+  /**
+   * Save the label and colour being edited
+   */
+  saveEditing() {
+    const bookmark = this.bookmarks.find(b => b.id === this.editingId);
+    const input = this.listElement?.querySelector('.pdf-bookmark-input');
+    if (!bookmark || !input) return;
+
+    const label = input.value.trim();
+    const color = this.editingColor;
+    this.stopEditing();
+    if (label !== bookmark.label || color !== bookmark.color) {
+      this.mediaManager.saveBookmark({ ...bookmark, label, color });
+    }
+  }
+
+  /**
+   * Leave editing without saving
+   */
+  stopEditing() {
+    this.editingId = null;
+    this.editingColor = null;
+    this.render();
+  }
+
+  /**
+   * Switch a bookmark to the next colour
+   */
+  cycleColor(bookmark) {
+    const index = this.colors.indexOf(bookmark.color);
+    const color = this.colors[(index + 1) % this.colors.length];
+
+    this.mediaManager.saveBookmark({ ...bookmark, color });
+  }
+
+  /**
+   * Render the bookmark list
+   */
+  render() {
+    if (!this.listElement) return;
+
+    if (this.bookmarks.length === 0) {
+      this.listElement.innerHTML = '<p class="pdf-panel-empty">しおりはありません<br>🔖 または M キーで追加できます</p>';
+      return;
+    }
+
+    this.listElement.innerHTML = this.bookmarks.map(bookmark => {
+      if (bookmark.id === this.editingId) {
+        return this.renderEditor(bookmark);
+      }
+      return `
+        <div class="pdf-bookmark" data-id="${Utils.escapeHtml(bookmark.id)}">
+          <button class="pdf-bookmark-color" style="background: ${Utils.escapeHtml(bookmark.color)};" title="色を変更"></button>
+          <span class="pdf-bookmark-label">${Utils.escapeHtml(bookmark.label || `${bookmark.pageNumber}ページ`)}</span>
+          <span class="pdf-bookmark-page">p.${bookmark.pageNumber}</span>
+          <button class="pdf-bookmark-edit" title="ラベルと色を編集">✎</button>
+          <button class="pdf-bookmark-delete" title="削除">×</button>
+        </div>
+      `;
+    }).join('');
+
+    const input = this.listElement.querySelector('.pdf-bookmark-input');
+    if (input) {
+      input.focus();
+      input.select();
+    }
+  }
+
+  /**
+   * Render the label input and colour choice of the bookmark being edited
+   */
+  renderEditor(bookmark) {
+    const swatches = this.colors.map(color => `
+      <button class="pdf-bookmark-swatch${color === this.editingColor ? ' selected' : ''}" data-color="${color}" style="background: ${color};" title="この色にする"></button>
+    `).join('');
+
+    return `
+      <div class="pdf-bookmark editing" data-id="${Utils.escapeHtml(bookmark.id)}">
+        <div class="pdf-bookmark-editor-row">
+          <input type="text" class="pdf-bookmark-input" value="${Utils.escapeHtml(bookmark.label)}" placeholder="${bookmark.pageNumber}ページ" aria-label="しおりのラベル">
+          <span class="pdf-bookmark-page">p.${bookmark.pageNumber}</span>
+        </div>
+        <div class="pdf-bookmark-editor-row">
+          ${swatches}
+          <span class="pdf-bookmark-spacer"></span>
+          <button class="pdf-bookmark-cancel" title="キャンセル（Esc）">取消</button>
+          <button class="pdf-bookmark-save" title="保存（Enter）">保存</button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Reflect whether the current page is bookmarked
+   */
+  updateToggleButton() {
+    if (!this.toggleButton) return;
+
+    const bookmarked = !!this.getBookmarkForPage(this.pdfViewer.currentPage);
+    this.toggleButton.classList.toggle('active', bookmarked);
+    this.toggleButton.title = bookmarked ? 'しおりを削除' : 'しおりを追加';
+  }
+
+  /**
+   * Clear bookmark state
+   */
+  clear() {
+    this.bookmarks = [];
+    this.fileId = null;
+    this.editingId = null;
+    this.editingColor = null;
+    if (this.listElement) {
+      this.listElement.innerHTML = '';
+    }
+    this.updateToggleButton();
+  }
+
+  /**
+   * Dispose bookmark resources
+   */
+  dispose() {
+    this.clear();
+  }
+}
+
+// Make PDFBookmarks available globally
+window.PDFBookmarks = PDFBookmarks;
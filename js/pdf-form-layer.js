@@ -0,0 +1,378 @@
+// Pink Reader PWA - PDF Form Layer Component
+
+/**
+ * PDFFormLayer class - Fillable AcroForm fields over the rendered PDF pages
+ * Places HTML controls over the widget annotations of each page. Entered values go into
+ * the document's annotationStorage (so saveDocument() writes them into a PDF copy) and
+ * are stored per file through MediaManager
+ */
+class PDFFormLayer {
+  constructor(containerElement, pdfViewer, mediaManager) {
+    this.container = containerElement;
+    this.pdfViewer = pdfViewer;
+    this.mediaManager = mediaManager;
+
+    // DOM elements
+    this.layerElement = null;
+    this.exportButton = null;
+
+    // State
+    this.fileId = null;
+    this.values = {};
+    this.fieldIds = new Map();
+    this.widgetCache = new Map();
+    this.loading = Promise.resolve();
+    this.isDirty = false;
+    this.isExporting = false;
+
+    // Page boxes by layout, so pages that stay on screen keep their controls (and focus)
+    this.pageBoxes = new Map();
+
+    this.debouncedSave = Utils.debounce(() => this.saveValues(), 500);
+
+    this.init();
+  }
+
+  /**
+   * Initialize form layer
+   */
+  init() {
+    this.setupDOM();
+    this.setupEventListeners();
+
+    this.pdfViewer.on('documentLoaded', ({ pdfDocument, file }) => {
+      this.loading = this.loadForm(pdfDocument, file);
+    });
+    this.pdfViewer.on('documentCleared', () => this.reset());
+    this.pdfViewer.on('pageRendered', (layouts) => this.render(layouts));
+  }
+
+  /**
+   * Setup DOM elements
+   */
+  setupDOM() {
+    this.layerElement = this.container.querySelector('#pdf-form-layer');
+    this.exportButton = this.container.querySelector('#export-form');
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    this.exportButton?.addEventListener('click', () => this.exportFilledPDF());
+
+    this.layerElement?.addEventListener('input', (e) => this.handleInput(e.target));
+    this.layerElement?.addEventListener('change', (e) => this.handleInput(e.target));
+  }
+
+  /**
+   * Load the fields and stored values of a document
+   */
+  async loadForm(pdfDocument, file) {
+    this.reset();
+    this.fileId = file.id;
+
+    try {
+      // Field names link widgets that share a value (radio groups, repeated text fields)
+      const fieldObjects = await pdfDocument.getFieldObjects();
+      const values = await this.mediaManager.getFormValues(file.id);
+      if (this.pdfViewer.pdfDocument !== pdfDocument) return;
+
+      Object.entries(fieldObjects || {}).forEach(([fieldName, fields]) => {
+        this.fieldIds.set(fieldName, fields.filter(field => field.id).map(field => field.id));
+      });
+
+      // Put stored values into the document so they are drawn and saved with it
+      this.values = values;
+      Object.entries(values).forEach(([id, value]) => {
+        pdfDocument.annotationStorage.setValue(id, { value });
+      });
+
+      this.exportButton?.classList.toggle('hidden', this.fieldIds.size === 0);
+    } catch (error) {
+      console.error('Failed to load form fields:', error);
+    }
+  }
+
+  /**
+   * Get (cached) fillable widgets of a page
+   */
+  async getWidgets(pageNumber) {
+    if (!this.widgetCache.has(pageNumber)) {
+      const page = await this.pdfViewer.pdfDocument.getPage(pageNumber);
+      const annotations = await page.getAnnotations({ intent: 'display' });
+
+      this.widgetCache.set(pageNumber, annotations.filter(annotation =>
+        annotation.subtype === 'Widget' &&
+        PDFFormLayer.FIELD_TYPES.includes(annotation.fieldType) &&
+        !annotation.hidden &&
+        !annotation.pushButton
+      ));
+    }
+    return this.widgetCache.get(pageNumber);
+  }
+
+  /**
+   * Place form controls for the visible pages
+   * Layouts that already have controls (continuous scroll keeps them) are left alone
+   */
+  async render(layouts) {
+    if (!this.layerElement) return;
+
+    // Remove pages that are no longer shown or were laid out again
+    this.pageBoxes.forEach((pageBox, layout) => {
+      if (!layouts.includes(layout)) {
+        pageBox?.remove();
+        this.pageBoxes.delete(layout);
+      }
+    });
+
+    const pdfDocument = this.pdfViewer.pdfDocument;
+
+    await Promise.all(layouts.filter(layout => !this.pageBoxes.has(layout)).map(async (layout) => {
+      // Reserve the layout so overlapping renders do not build it twice
+      this.pageBoxes.set(layout, null);
+
+      let widgets;
+      try {
+        await this.loading;
+        widgets = await this.getWidgets(layout.pageNumber);
+      } catch (error) {
+        console.warn(`Failed to load form fields of page ${layout.pageNumber}:`, error);
+        widgets = [];
+      }
+
+      // Stop if the document or page changed while loading fields
+      if (this.pdfViewer.pdfDocument !== pdfDocument || !this.pdfViewer.pageLayouts.includes(layout)) {
+        this.pageBoxes.delete(layout);
+        return;
+      }
+
+      const pageBox = document.createElement('div');
+      pageBox.className = 'pdf-form-page';
+      pageBox.style.left = `${layout.x}px`;
+      pageBox.style.top = `${layout.y}px`;
+      pageBox.style.width = `${layout.width}px`;
+      pageBox.style.height = `${layout.height}px`;
+
+      widgets.forEach(widget => pageBox.appendChild(this.createControl(widget, layout.viewport)));
+      this.layerElement.appendChild(pageBox);
+      this.pageBoxes.set(layout, pageBox);
+    }));
+  }
+
+  /**
+   * Get the current value of a widget (entered, or the one saved in the PDF)
+   */
+  getValue(widget) {
+    if (widget.id in this.values) {
+      return this.values[widget.id];
+    }
+    if (widget.checkBox) {
+      return !!widget.fieldValue && widget.fieldValue !== 'Off';
+    }
+    if (widget.radioButton) {
+      return widget.fieldValue === widget.buttonValue;
+    }
+    return widget.fieldValue ?? '';
+  }
+
+  /**
+   * Create the HTML control of a widget
+   */
+  createControl(widget, viewport) {
+    const [left, top, right, bottom] = pdfjsLib.Util.normalizeRect(
+      viewport.convertToViewportRectangle(widget.rect)
+    );
+    const height = bottom - top;
+    const value = this.getValue(widget);
+
+    let control;
+    if (widget.fieldType === 'Tx') {
+      control = document.createElement(widget.multiLine ? 'textarea' : 'input');
+      if (!widget.multiLine) {
+        control.type = widget.password ? 'password' : 'text';
+      }
+      if (widget.maxLen) {
+        control.maxLength = widget.maxLen;
+      }
+      control.value = value;
+      control.style.textAlign = ['left', 'center', 'right'][widget.textAlignment] || 'left';
+
+      // Use the field's font size, or fit single lines to the box
+      const fontSize = widget.defaultAppearanceData?.fontSize;
+      control.style.fontSize = fontSize
+        ? `${fontSize * viewport.scale}px`
+        : `${widget.multiLine ? 12 * viewport.scale : height * 0.7}px`;
+    } else if (widget.fieldType === 'Btn') {
+      control = document.createElement('input');
+      control.type = widget.radioButton ? 'radio' : 'checkbox';
+      control.name = `pdf-form-${widget.fieldName}`;
+      control.checked = !!value;
+    } else {
+      control = document.createElement('select');
+      control.multiple = !widget.combo && !!widget.multiSelect;
+      if (!widget.combo) {
+        control.size = Math.max(2, widget.options.length);
+      }
+      widget.options.forEach(option => {
+        const optionElement = document.createElement('option');
+        optionElement.value = option.exportValue;
+        optionElement.textContent = option.displayValue;
+        control.appendChild(optionElement);
+      });
+      const selected = Array.isArray(value) ? value : [value];
+      Array.from(control.options).forEach(option => {
+        option.selected = selected.includes(option.value);
+      });
+    }
+
+    control.classList.add('pdf-form-field');
+    control.dataset.id = widget.id;
+    control.dataset.fieldName = widget.fieldName;
+    control.disabled = !!widget.readOnly;
+    control.title = widget.alternativeText || widget.fieldName || '';
+    control.style.left = `${left}px`;
+    control.style.top = `${top}px`;
+    control.style.width = `${right - left}px`;
+    control.style.height = `${height}px`;
+    control.pdfWidget = widget;
+    return control;
+  }
+
+  /**
+   * Store a value entered into a control, for every widget of the same field
+   */
+  handleInput(control) {
+    const widget = control.pdfWidget;
+    const pdfDocument = this.pdfViewer.pdfDocument;
+    if (!widget || !pdfDocument) return;
+
+    const ids = this.fieldIds.get(widget.fieldName) || [widget.id];
+    if (widget.radioButton) {
+      // Selecting a radio button clears the others in its group
+      ids.forEach(id => this.setValue(pdfDocument, id, id === widget.id && control.checked));
+    } else {
+      let value;
+      if (widget.checkBox) {
+        value = control.checked;
+      } else if (control.tagName === 'SELECT') {
+        const selected = Array.from(control.selectedOptions).map(option => option.value);
+        value = control.multiple ? selected : (selected[0] ?? '');
+      } else {
+        value = control.value;
+      }
+      ids.forEach(id => this.setValue(pdfDocument, id, value));
+    }
+
+    this.syncControls(widget.fieldName, control);
+    this.isDirty = true;
+    this.debouncedSave();
+  }
+
+  /**
+   * Set the value of one widget
+   */
+  setValue(pdfDocument, id, value) {
+    this.values[id] = value;
+    pdfDocument.annotationStorage.setValue(id, { value });
+  }
+
+  /**
+   * Show a field's new value in its other controls on screen
+   */
+  syncControls(fieldName, sourceControl) {
+    this.layerElement.querySelectorAll('.pdf-form-field').forEach(control => {
+      if (control === sourceControl || control.dataset.fieldName !== fieldName) return;
+
+      const value = this.values[control.dataset.id];
+      if (control.type === 'checkbox' || control.type === 'radio') {
+        control.checked = !!value;
+      } else if (control.tagName === 'SELECT') {
+        const selected = Array.isArray(value) ? value : [value];
+        Array.from(control.options).forEach(option => {
+          option.selected = selected.includes(option.value);
+        });
+      } else {
+        control.value = value ?? '';
+      }
+    });
+  }
+
+  /**
+   * Store the entered values of the current file
+   */
+  async saveValues() {
+    if (!this.fileId || !this.isDirty) return;
+
+    this.isDirty = false;
+    try {
+      await this.mediaManager.saveFormValues(this.fileId, { ...this.values });
+    } catch (error) {
+      console.error('Failed to save form values:', error);
+      Utils.showToast('フォームの入力内容の保存に失敗しました', 'error');
+    }
+  }
+
+  /**
+   * Save a copy of the PDF with the entered values and add it to the library
+   */
+  async exportFilledPDF() {
+    const pdfDocument = this.pdfViewer.pdfDocument;
+    const file = this.pdfViewer.currentFile;
+    if (!pdfDocument || !file || this.isExporting) return;
+
+    this.isExporting = true;
+    try {
+      let data;
+      try {
+        data = await pdfDocument.saveDocument();
+      } catch (error) {
+        console.error('Failed to export filled PDF:', error);
+        Utils.showToast('記入済みPDFの保存に失敗しました', 'error');
+        return;
+      }
+
+      const baseName = file.fileName.replace(/\.pdf$/i, '');
+      const filledFile = new File([data], `${baseName}_記入済み.pdf`, { type: 'application/pdf' });
+
+      // addFile shows its own toast, on success ("… を追加しました") and on failure
+      await this.mediaManager.addFile(filledFile, { readingDirection: file.readingDirection });
+    } catch (error) {
+      console.error('Failed to add filled PDF:', error);
+    } finally {
+      this.isExporting = false;
+    }
+  }
+
+  /**
+   * Remove all controls and forget the current document's fields
+   */
+  reset() {
+    // Store edits still waiting for the debounced save before forgetting the file
+    this.saveValues();
+
+    this.fileId = null;
+    this.values = {};
+    this.fieldIds.clear();
+    this.widgetCache.clear();
+    this.pageBoxes.clear();
+    this.exportButton?.classList.add('hidden');
+    if (this.layerElement) {
+      this.layerElement.innerHTML = '';
+    }
+  }
+
+  /**
+   * Dispose form layer resources
+   */
+  dispose() {
+    this.reset();
+  }
+}
+
+// Field types shown as controls: text, buttons (check boxes and radio buttons) and choices
+PDFFormLayer.FIELD_TYPES = ['Tx', 'Btn', 'Ch'];
+
+// Make PDFFormLayer available globally
+window.PDFFormLayer = PDFFormLayer;
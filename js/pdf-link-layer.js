@@ -0,0 +1,255 @@
+// Pink Reader PWA - PDF Link Layer Component
+
+/**
+ * PDFLinkLayer class - Clickable links over the rendered PDF pages
+ * Places the Link annotations from page.getAnnotations() over each page. Internal links
+ * navigate through PDFViewer.followLink() (which adds them to the navigation history) and
+ * external URLs open in a new tab after a confirmation
+ */
+class PDFLinkLayer {
+  constructor(containerElement, pdfViewer) {
+    this.container = containerElement;
+    this.pdfViewer = pdfViewer;
+
+    // DOM elements
+    this.layerElement = null;
+
+    // State
+    this.linkCache = new Map();
+    this.pointerStart = null;
+
+    // Page boxes by layout, so pages that stay on screen keep their links
+    this.pageBoxes = new Map();
+
+    this.init();
+  }
+
+  /**
+   * Initialize link layer
+   */
+  init() {
+    this.setupDOM();
+    this.setupEventListeners();
+
+    this.pdfViewer.on('documentLoaded', () => this.reset());
+    this.pdfViewer.on('documentCleared', () => this.reset());
+    this.pdfViewer.on('pageRendered', (layouts) => this.render(layouts));
+  }
+
+  /**
+   * Setup DOM elements
+   */
+  setupDOM() {
+    this.layerElement = this.container.querySelector('#pdf-link-layer');
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    // A drag that starts on a link pans the page rather than following the link
+    this.layerElement?.addEventListener('pointerdown', (e) => {
+      this.pointerStart = { x: e.clientX, y: e.clientY };
+    });
+
+    this.layerElement?.addEventListener('click', (e) => {
+      const linkElement = e.target.closest('.pdf-link');
+      if (!linkElement) return;
+
+      e.preventDefault();
+      const start = this.pointerStart;
+      this.pointerStart = null;
+      if (start && Math.hypot(e.clientX - start.x, e.clientY - start.y) > PDFLinkLayer.CLICK_TOLERANCE) return;
+
+      this.openLink(linkElement.pdfLink);
+    });
+  }
+
+  /**
+   * Check if an event target is a link in a link layer
+   * @param {EventTarget} target - Event target
+   * @returns {boolean} True if the target is a link
+   */
+  static isLinkTarget(target) {
+    return !!(target && target.closest && target.closest('.pdf-link'));
+  }
+
+  /**
+   * Get (cached) links of a page
+   * @returns {Promise<Object[]>} Links {rect, url, dest, action}
+   */
+  async getLinks(pageNumber) {
+    if (!this.linkCache.has(pageNumber)) {
+      const page = await this.pdfViewer.pdfDocument.getPage(pageNumber);
+      const annotations = await page.getAnnotations({ intent: 'display' });
+
+      this.linkCache.set(pageNumber, annotations
+        .filter(annotation => annotation.subtype === 'Link' && (annotation.url || annotation.dest || annotation.action))
+        .map(annotation => ({
+          rect: annotation.rect,
+          url: annotation.url || null,
+          dest: annotation.dest || null,
+          action: annotation.action || null
+        })));
+    }
+    return this.linkCache.get(pageNumber);
+  }
+
+  /**
+   * Place links for the visible pages
+   * Layouts that already have links (continuous scroll keeps them) are left alone
+   */
+  async render(layouts) {
+    if (!this.layerElement) return;
+
+    // Remove pages that are no longer shown or were laid out again
+    this.pageBoxes.forEach((pageBox, layout) => {
+      if (!layouts.includes(layout)) {
+        pageBox?.remove();
+        this.pageBoxes.delete(layout);
+      }
+    });
+
+    const pdfDocument = this.pdfViewer.pdfDocument;
+
+    await Promise.all(layouts.filter(layout => !this.pageBoxes.has(layout)).map(async (layout) => {
+      // Reserve the layout so overlapping renders do not build it twice
+      this.pageBoxes.set(layout, null);
+
+      let links;
+      try {
+        links = await this.getLinks(layout.pageNumber);
+      } catch (error) {
+        console.warn(`Failed to load links of page ${layout.pageNumber}:`, error);
+        links = [];
+      }
+
+      // Stop if the document or page changed while loading links
+      if (this.pdfViewer.pdfDocument !== pdfDocument || !this.pdfViewer.pageLayouts.includes(layout)) {
+        this.pageBoxes.delete(layout);
+        return;
+      }
+
+      const pageBox = document.createElement('div');
+      pageBox.className = 'pdf-link-page';
+      pageBox.style.left = `${layout.x}px`;
+      pageBox.style.top = `${layout.y}px`;
+      pageBox.style.width = `${layout.width}px`;
+      pageBox.style.height = `${layout.height}px`;
+
+      links.forEach(link => pageBox.appendChild(this.createLinkElement(link, layout.viewport)));
+      this.layerElement.appendChild(pageBox);
+      this.pageBoxes.set(layout, pageBox);
+    }));
+  }
+
+  /**
+   * Create the clickable area of a link
+   */
+  createLinkElement(link, viewport) {
+    const [left, top, right, bottom] = pdfjsLib.Util.normalizeRect(
+      viewport.convertToViewportRectangle(link.rect)
+    );
+
+    const linkElement = document.createElement('a');
+    linkElement.className = 'pdf-link';
+    linkElement.style.left = `${left}px`;
+    linkElement.style.top = `${top}px`;
+    linkElement.style.width = `${right - left}px`;
+    linkElement.style.height = `${bottom - top}px`;
+    linkElement.pdfLink = link;
+
+    if (link.url) {
+      linkElement.href = link.url;
+      linkElement.title = link.url;
+      linkElement.rel = 'noopener noreferrer';
+    } else {
+      linkElement.href = '#';
+      linkElement.title = PDFLinkLayer.ACTION_LABELS[link.action] || 'リンク先へ移動';
+    }
+    return linkElement;
+  }
+
+  /**
+   * Follow a link
+   */
+  async openLink(link) {
+    if (link.url) {
+      Utils.openExternalLink(link.url);
+      return;
+    }
+
+    if (link.action) {
+      this.runAction(link.action);
+      return;
+    }
+
+    const pageNumber = await PDFOutline.resolveDestination(this.pdfViewer.pdfDocument, link.dest);
+    if (pageNumber) {
+      this.pdfViewer.followLink(pageNumber);
+    } else {
+      Utils.showToast('リンク先が見つかりません', 'warning');
+    }
+  }
+
+  /**
+   * Run a named action (such as NextPage) of a link
+   */
+  runAction(action) {
+    const viewer = this.pdfViewer;
+    switch (action) {
+      case 'NextPage':
+        viewer.nextPage();
+        break;
+      case 'PrevPage':
+        viewer.previousPage();
+        break;
+      case 'FirstPage':
+        viewer.followLink(1);
+        break;
+      case 'LastPage':
+        viewer.followLink(viewer.totalPages);
+        break;
+      case 'GoBack':
+        NavigationHistory.goBack();
+        break;
+      case 'GoForward':
+        NavigationHistory.goForward();
+        break;
+    }
+  }
+
+  /**
+   * Reset cached links for a new document
+   */
+  reset() {
+    this.linkCache.clear();
+    this.pageBoxes.clear();
+    if (this.layerElement) {
+      this.layerElement.innerHTML = '';
+    }
+  }
+
+  /**
+   * Dispose link layer resources
+   */
+  dispose() {
+    this.reset();
+  }
+}
+
+// Distance (px) the pointer may move for a press to still count as a click
+PDFLinkLayer.CLICK_TOLERANCE = 5;
+
+// Tooltips of the named actions links can run
+PDFLinkLayer.ACTION_LABELS = {
+  NextPage: '次のページ',
+  PrevPage: '前のページ',
+  FirstPage: '最初のページ',
+  LastPage: '最後のページ',
+  GoBack: '戻る',
+  GoForward: '進む'
+};
+
+// Make PDFLinkLayer available globally
+window.PDFLinkLayer = PDFLinkLayer;
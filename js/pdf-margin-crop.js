@@ -0,0 +1,364 @@
+// Pink Reader PWA - PDF Margin Crop Component
+
+/**
+ * PDFMarginCrop class - Trims the white margins of (scanned) PDF pages
+ * Finds the content box of a page from a small rendering of it, either per page or as
+ * one box covering sampled pages of the whole document, and builds viewports over that
+ * box only, so the viewer scales the content to fit and every overlay layer follows.
+ * Margins are fractions of the page in its original orientation
+ * {left, top, right, bottom}. Also runs the dialog that chooses the mode and the
+ * manual margins of a file.
+ */
+class PDFMarginCrop {
+  constructor(dialogElement, pdfViewer) {
+    this.dialog = dialogElement;
+    this.pdfViewer = pdfViewer;
+
+    // DOM elements
+    this.form = null;
+    this.modeInputs = [];
+    this.marginInputs = {};
+    this.detectButton = null;
+    this.cancelButton = null;
+
+    // Detected margins of the current document
+    this.pdfDocument = null;
+    this.pageMargins = new Map();
+    this.documentMargins = null;
+
+    this.init();
+  }
+
+  /**
+   * Initialize margin crop
+   */
+  init() {
+    this.setupDOM();
+    this.setupEventListeners();
+
+    this.pdfViewer.on('documentCleared', () => this.reset(null));
+  }
+
+  /**
+   * Setup DOM elements
+   */
+  setupDOM() {
+    if (!this.dialog) return;
+
+    this.form = this.dialog.querySelector('form');
+    this.modeInputs = Array.from(this.dialog.querySelectorAll('input[name="crop-mode"]'));
+    PDFMarginCrop.SIDES.forEach(side => {
+      this.marginInputs[side] = this.dialog.querySelector(`#crop-${side}`);
+    });
+    this.detectButton = this.dialog.querySelector('.crop-detect');
+    this.cancelButton = this.dialog.querySelector('.crop-cancel');
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    if (!this.dialog) return;
+
+    this.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.apply();
+    });
+    this.cancelButton.addEventListener('click', () => this.dialog.close());
+    this.modeInputs.forEach(input => {
+      input.addEventListener('change', () => this.updateMarginInputs());
+    });
+    this.detectButton.addEventListener('click', () => this.fillDetectedMargins());
+  }
+
+  /**
+   * Forget the detected margins when the document changes
+   */
+  reset(pdfDocument) {
+    this.pdfDocument = pdfDocument;
+    this.pageMargins.clear();
+    this.documentMargins = null;
+  }
+
+  /**
+   * Get the detected margins of a page
+   * @param {PDFDocumentProxy} pdfDocument - Document of the page
+   * @param {PDFPageProxy} page - Page
+   * @returns {Promise<Object>} Margins
+   */
+  getPageMargins(pdfDocument, page) {
+    if (this.pdfDocument !== pdfDocument) {
+      this.reset(pdfDocument);
+    }
+    if (!this.pageMargins.has(page.pageNumber)) {
+      // A failed detection is tried again next time
+      const margins = PDFMarginCrop.detectMargins(page);
+      margins.catch(() => this.pageMargins.delete(page.pageNumber));
+      this.pageMargins.set(page.pageNumber, margins);
+    }
+    return this.pageMargins.get(page.pageNumber);
+  }
+
+  /**
+   * Get margins that keep the content of the whole document, from evenly spaced sample pages
+   * The first page is left out of longer documents, since covers are usually printed to the edge
+   * @param {PDFDocumentProxy} pdfDocument - Document
+   * @returns {Promise<Object>} Margins
+   */
+  getDocumentMargins(pdfDocument) {
+    if (this.pdfDocument !== pdfDocument) {
+      this.reset(pdfDocument);
+    }
+    if (!this.documentMargins) {
+      this.documentMargins = (async () => {
+        const numPages = pdfDocument.numPages;
+        const firstPage = numPages > 2 ? 2 : 1;
+        const count = Math.min(PDFMarginCrop.SAMPLE_PAGES, numPages - firstPage + 1);
+        const step = (numPages - firstPage) / Math.max(1, count - 1);
+        const pageNumbers = new Set(Array.from({ length: count }, (_, index) => Math.round(firstPage + index * step)));
+
+        // One page at a time keeps memory low on phones
+        const samples = [];
+        for (const pageNumber of pageNumbers) {
+          const page = await pdfDocument.getPage(pageNumber);
+          samples.push(await this.getPageMargins(pdfDocument, page));
+        }
+
+        return Object.fromEntries(PDFMarginCrop.SIDES.map(side => [
+          side,
+          Math.min(...samples.map(margins => margins[side]))
+        ]));
+      })();
+      this.documentMargins.catch(() => {
+        this.documentMargins = null;
+      });
+    }
+    return this.documentMargins;
+  }
+
+  /**
+   * Find the content box of a page from a small rendering
+   * @param {PDFPageProxy} page - Page
+   * @returns {Promise<Object>} Margins (all zero for blank pages)
+   */
+  static async detectMargins(page) {
+    const pageSize = page.getViewport({ scale: 1, rotation: 0 });
+    const scale = PDFMarginCrop.ANALYSIS_SIZE / Math.max(pageSize.width, pageSize.height);
+    const viewport = page.getViewport({ scale, rotation: 0 });
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(viewport.width);
+    canvas.height = Math.ceil(viewport.height);
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+
+    let pixels;
+    try {
+      await page.render({ canvasContext: context, viewport }).promise;
+      pixels = context.getImageData(0, 0, canvas.width, canvas.height).data;
+    } finally {
+      canvas.width = 0;
+      canvas.height = 0;
+    }
+
+    const width = Math.ceil(viewport.width);
+    const height = Math.ceil(viewport.height);
+    const luminance = new Uint8Array(width * height);
+    for (let i = 0; i < luminance.length; i++) {
+      luminance[i] = (pixels[i * 4] * 299 + pixels[i * 4 + 1] * 587 + pixels[i * 4 + 2] * 114) / 1000;
+    }
+
+    // Scanned paper is rarely pure white: ink is anything clearly darker than the paper
+    const paper = PDFMarginCrop.getPaperLuminance(luminance);
+    const threshold = paper - PDFMarginCrop.INK_CONTRAST;
+
+    const rowInk = new Uint32Array(height);
+    const columnInk = new Uint32Array(width);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (luminance[y * width + x] < threshold) {
+          rowInk[y]++;
+          columnInk[x]++;
+        }
+      }
+    }
+
+    // Ignore specks, and scanner shadows along the very edge of the page
+    const findContent = (ink, length, across) => {
+      const edge = Math.floor(length * PDFMarginCrop.EDGE_IGNORE);
+      const minInk = Math.max(2, across * PDFMarginCrop.MIN_INK);
+      let start = edge;
+      let end = length - edge - 1;
+      while (start <= end && ink[start] < minInk) start++;
+      while (end >= start && ink[end] < minInk) end--;
+      return start <= end ? [start, end + 1] : null;
+    };
+    const rows = findContent(rowInk, height, width);
+    const columns = findContent(columnInk, width, height);
+    if (!rows || !columns) {
+      return { left: 0, top: 0, right: 0, bottom: 0 };
+    }
+
+    const padding = PDFMarginCrop.PADDING;
+    return {
+      left: Math.max(0, columns[0] / width - padding),
+      top: Math.max(0, rows[0] / height - padding),
+      right: Math.max(0, 1 - columns[1] / width - padding),
+      bottom: Math.max(0, 1 - rows[1] / height - padding)
+    };
+  }
+
+  /**
+   * Estimate the luminance of the paper (the brightest common value)
+   */
+  static getPaperLuminance(luminance) {
+    const histogram = new Uint32Array(256);
+    luminance.forEach(value => histogram[value]++);
+
+    let count = 0;
+    for (let value = 255; value > 0; value--) {
+      count += histogram[value];
+      if (count >= luminance.length * 0.1) return value;
+    }
+    return 255;
+  }
+
+  /**
+   * Get the part of a page's view box left after removing margins
+   * @param {number[]} view - Page view box [x1, y1, x2, y2] in PDF user space
+   * @param {Object} margins - Margins
+   * @returns {number[]|null} Cropped view box, or null if nothing is removed
+   */
+  static applyMargins(view, margins) {
+    if (!margins || PDFMarginCrop.SIDES.every(side => !margins[side])) return null;
+
+    const [x1, y1, x2, y2] = view;
+    const width = x2 - x1;
+    const height = y2 - y1;
+
+    // PDF y grows upwards, so the top margin comes off y2
+    return [
+      x1 + width * margins.left,
+      y1 + height * margins.bottom,
+      x2 - width * margins.right,
+      y2 - height * margins.top
+    ];
+  }
+
+  /**
+   * Create a viewport showing only part of a page
+   * @param {PDFPageProxy} page - Page
+   * @param {number[]} viewBox - Part of the page in PDF user space
+   * @param {number} scale - Scale
+   * @param {number} rotation - Rotation in degrees
+   * @returns {PageViewport} Viewport whose size and transform cover the view box only
+   */
+  static createViewport(page, viewBox, scale, rotation) {
+    // PDF.js does not export PageViewport, so use the class of a page's own viewport
+    const PageViewport = page.getViewport({ scale: 1 }).constructor;
+    return new PageViewport({ viewBox, scale, rotation, offsetX: 0, offsetY: 0 });
+  }
+
+  /**
+   * Open the crop dialog with the settings of the current file
+   */
+  open() {
+    const pdfViewer = this.pdfViewer;
+    if (!this.dialog || !pdfViewer.pdfDocument || this.dialog.open) return;
+
+    this.modeInputs.forEach(input => {
+      input.checked = input.value === pdfViewer.cropMode;
+    });
+    this.setMarginInputs(pdfViewer.cropMargins || { left: 0, top: 0, right: 0, bottom: 0 });
+    this.updateMarginInputs();
+
+    this.dialog.showModal();
+  }
+
+  /**
+   * Enable the margin inputs in manual mode only
+   */
+  updateMarginInputs() {
+    const manual = this.getSelectedMode() === 'manual';
+    Object.values(this.marginInputs).forEach(input => {
+      input.disabled = !manual;
+    });
+    this.detectButton.disabled = !manual;
+  }
+
+  /**
+   * Get the mode chosen in the dialog
+   */
+  getSelectedMode() {
+    return this.modeInputs.find(input => input.checked)?.value || 'off';
+  }
+
+  /**
+   * Show margins (fractions) in the inputs (percent)
+   */
+  setMarginInputs(margins) {
+    PDFMarginCrop.SIDES.forEach(side => {
+      this.marginInputs[side].value = Math.round(margins[side] * 1000) / 10;
+    });
+  }
+
+  /**
+   * Start the manual margins from the ones detected on the current page
+   */
+  async fillDetectedMargins() {
+    const pdfDocument = this.pdfViewer.pdfDocument;
+    if (!pdfDocument) return;
+
+    try {
+      const page = await pdfDocument.getPage(this.pdfViewer.currentPage);
+      this.setMarginInputs(await this.getPageMargins(pdfDocument, page));
+    } catch (error) {
+      console.error('Failed to detect margins:', error);
+      Utils.showToast('余白を検出できませんでした', 'error');
+    }
+  }
+
+  /**
+   * Apply the dialog's settings to the current file
+   */
+  apply() {
+    const mode = this.getSelectedMode();
+    let margins = null;
+
+    if (mode === 'manual') {
+      margins = Object.fromEntries(PDFMarginCrop.SIDES.map(side => {
+        const percent = parseFloat(this.marginInputs[side].value) || 0;
+        return [side, Math.min(Math.max(percent, 0), PDFMarginCrop.MAX_MARGIN * 100) / 100];
+      }));
+    }
+
+    this.dialog.close();
+    this.pdfViewer.setCrop(mode, margins);
+  }
+}
+
+// Sides of the margins
+PDFMarginCrop.SIDES = ['left', 'top', 'right', 'bottom'];
+
+// Longer side (px) of the rendering margins are detected on
+PDFMarginCrop.ANALYSIS_SIZE = 400;
+
+// Number of pages sampled for the document-wide margins
+PDFMarginCrop.SAMPLE_PAGES = 16;
+
+// How much darker than the paper a pixel has to be to count as content
+PDFMarginCrop.INK_CONTRAST = 48;
+
+// Share of a row or column that has to be content for it to count
+PDFMarginCrop.MIN_INK = 0.005;
+
+// Band along the page edge that is ignored (scanner shadows, punch holes)
+PDFMarginCrop.EDGE_IGNORE = 0.015;
+
+// Space kept around the content, as a fraction of the page
+PDFMarginCrop.PADDING = 0.015;
+
+// Largest manual margin per side
+PDFMarginCrop.MAX_MARGIN = 0.4;
+
+// Make PDFMarginCrop available globally
+window.PDFMarginCrop = PDFMarginCrop;
@@ -0,0 +1,260 @@
+// Pink Reader PWA - PDF Outline Component
+
+/**
+ * PDFOutline class - Table of contents panel built from the PDF's embedded outline
+ * Resolves each bookmark to a page and navigates through PDFViewer.goToPage()
+ */
+class PDFOutline {
+  constructor(containerElement, pdfViewer) {
+    this.container = containerElement;
+    this.pdfViewer = pdfViewer;
+
+    // DOM elements
+    this.outlineElement = null;
+
+    // State
+    this.entries = [];
+    this.currentEntry = null;
+
+    this.init();
+  }
+
+  /**
+   * Initialize outline panel
+   */
+  init() {
+    this.setupDOM();
+
+    this.pdfViewer.on('documentLoaded', ({ pdfDocument }) => this.loadOutline(pdfDocument));
+    this.pdfViewer.on('documentCleared', () => this.clear());
+    this.pdfViewer.on('pageRendered', () => this.updateCurrentEntry());
+    this.pdfViewer.on('pageChanged', () => this.updateCurrentEntry());
+  }
+
+  /**
+   * Setup DOM elements
+   */
+  setupDOM() {
+    this.outlineElement = this.container.querySelector('#pdf-outline');
+  }
+
+  /**
+   * Load and render the outline of a document
+   */
+  async loadOutline(pdfDocument) {
+    this.clear();
+    this.showMessage('読み込み中...');
+
+    try {
+      const outline = await pdfDocument.getOutline();
+
+      // Ignore results for a document that is no longer open
+      if (this.pdfViewer.pdfDocument !== pdfDocument) return;
+
+      if (!outline || outline.length === 0) {
+        this.showMessage('この文書には目次がありません');
+        return;
+      }
+
+      const tree = await this.resolveItems(pdfDocument, outline, 0);
+      if (this.pdfViewer.pdfDocument !== pdfDocument) return;
+
+      this.entries = this.flattenEntries(tree);
+
+      this.outlineElement.innerHTML = '';
+      this.outlineElement.appendChild(this.createList(tree));
+      this.updateCurrentEntry();
+    } catch (error) {
+      console.error('Failed to load outline:', error);
+      this.showMessage('目次を読み込めませんでした');
+    }
+  }
+
+  /**
+   * Resolve outline items (recursively) to entries with page numbers
+   */
+  async resolveItems(pdfDocument, items, depth) {
+    return Promise.all(items.map(async (item) => {
+      const entry = {
+        title: item.title || '(無題)',
+        pageNumber: await PDFOutline.resolveDestination(pdfDocument, item.dest),
+        url: item.url || null,
+        bold: !!item.bold,
+        italic: !!item.italic,
+        depth,
+        element: null,
+        children: []
+      };
+
+      if (item.items && item.items.length > 0) {
+        entry.children = await this.resolveItems(pdfDocument, item.items, depth + 1);
+      }
+      return entry;
+    }));
+  }
+
+  /**
+   * Flatten an entry tree into document order
+   */
+  flattenEntries(entries) {
+    return entries.flatMap(entry => [entry, ...this.flattenEntries(entry.children)]);
+  }
+
+  /**
+   * Resolve a PDF destination (named or explicit) to a 1-based page number
+   * @returns {Promise<number|null>} Page number, or null if it cannot be resolved
+   */
+  static async resolveDestination(pdfDocument, dest) {
+    try {
+      const explicitDest = typeof dest === 'string'
+        ? await pdfDocument.getDestination(dest)
+        : dest;
+      if (!Array.isArray(explicitDest) || explicitDest.length === 0) return null;
+
+      const target = explicitDest[0];
+      if (typeof target === 'number') {
+        return target + 1;
+      }
+      return (await pdfDocument.getPageIndex(target)) + 1;
+    } catch (error) {
+      console.warn('Failed to resolve destination:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Create a nested list element for outline entries
+   */
+  createList(entries) {
+    const list = document.createElement('ul');
+    list.className = 'pdf-outline-list';
+
+    entries.forEach(entry => {
+      const item = document.createElement('li');
+      item.className = 'pdf-outline-item';
+
+      const row = document.createElement('div');
+      row.className = 'pdf-outline-row';
+
+      const toggle = document.createElement('button');
+      toggle.className = 'pdf-outline-toggle';
+      if (entry.children.length > 0) {
+        toggle.textContent = '▸';
+        toggle.addEventListener('click', () => {
+          this.setExpanded(item, !item.classList.contains('expanded'));
+        });
+      } else {
+        toggle.disabled = true;
+      }
+
+      const link = document.createElement('button');
+      link.className = 'pdf-outline-link';
+      link.textContent = entry.title;
+      link.title = entry.title;
+      if (entry.bold) link.style.fontWeight = '600';
+      if (entry.italic) link.style.fontStyle = 'italic';
+      link.addEventListener('click', () => this.openEntry(entry));
+
+      const page = document.createElement('span');
+      page.className = 'pdf-outline-page';
+      page.textContent = entry.pageNumber ?? '';
+
+      row.append(toggle, link, page);
+      item.appendChild(row);
+
+      if (entry.children.length > 0) {
+        item.appendChild(this.createList(entry.children));
+      }
+
+      entry.element = item;
+      list.appendChild(item);
+    });
+
+    return list;
+  }
+
+  /**
+   * Expand or collapse an outline item
+   */
+  setExpanded(item, expanded) {
+    item.classList.toggle('expanded', expanded);
+    const toggle = item.querySelector(':scope > .pdf-outline-row > .pdf-outline-toggle');
+    if (toggle && !toggle.disabled) {
+      toggle.textContent = expanded ? '▾' : '▸';
+    }
+  }
+
+  /**
+   * Navigate to an outline entry
+   */
+  openEntry(entry) {
+    if (entry.pageNumber) {
+      this.pdfViewer.goToPage(entry.pageNumber);
+    } else if (entry.url) {
+      Utils.openExternalLink(entry.url);
+    }
+  }
+
+  /**
+   * Highlight the section containing the current page
+   */
+  updateCurrentEntry() {
+    const currentPage = this.pdfViewer.currentPage;
+
+    // The last entry (in document order) starting at or before the current page
+    let current = null;
+    this.entries
+      .filter(entry => entry.pageNumber !== null && entry.pageNumber <= currentPage)
+      .forEach(entry => {
+        if (!current || entry.pageNumber >= current.pageNumber) {
+          current = entry;
+        }
+      });
+
+    if (current === this.currentEntry) return;
+
+    this.currentEntry?.element?.classList.remove('current');
+    this.currentEntry = current;
+
+    if (current && current.element) {
+      current.element.classList.add('current');
+
+      // Reveal the entry by expanding its ancestors
+      let parent = current.element.parentElement?.closest('.pdf-outline-item');
+      while (parent) {
+        this.setExpanded(parent, true);
+        parent = parent.parentElement?.closest('.pdf-outline-item');
+      }
+      current.element.querySelector('.pdf-outline-row')?.scrollIntoView({ block: 'nearest' });
+    }
+  }
+
+  /**
+   * Show a message instead of the outline tree
+   */
+  showMessage(message) {
+    if (!this.outlineElement) return;
+    this.outlineElement.innerHTML = `<p class="pdf-panel-empty">${Utils.escapeHtml(message)}</p>`;
+  }
+
+  /**
+   * Clear outline state
+   */
+  clear() {
+    this.entries = [];
+    this.currentEntry = null;
+    if (this.outlineElement) {
+      this.outlineElement.innerHTML = '';
+    }
+  }
+
+  /**
+   * Dispose outline resources
+   */
+  dispose() {
+    this.clear();
+  }
+}
+
+// Make PDFOutline available globally
+window.PDFOutline = PDFOutline;
@@ -0,0 +1,245 @@
+// Pink Reader PWA - PDF Page Export Component
+
+/**
+ * PDFPageExporter class - Exports a range of PDF pages as PNG or JPEG images
+ * Pages are rendered one at a time at the chosen DPI with the viewer's rotation and the
+ * entered form values. A single page downloads as an image, several as a ZIP archive
+ */
+class PDFPageExporter {
+  constructor(dialogElement, pdfViewer) {
+    this.dialog = dialogElement;
+    this.pdfViewer = pdfViewer;
+
+    // DOM elements
+    this.form = null;
+    this.fromInput = null;
+    this.toInput = null;
+    this.dpiSelect = null;
+    this.formatSelect = null;
+    this.progressElement = null;
+    this.progressBar = null;
+    this.statusElement = null;
+    this.cancelButton = null;
+    this.submitButton = null;
+
+    // Running export {cancelled, task}
+    this.job = null;
+
+    this.init();
+  }
+
+  /**
+   * Initialize page exporter
+   */
+  init() {
+    this.setupDOM();
+    this.setupEventListeners();
+
+    // A new or closed document ends any export of the old one
+    this.pdfViewer.on('documentLoaded', () => this.cancel());
+    this.pdfViewer.on('documentCleared', () => this.cancel());
+  }
+
+  /**
+   * Setup DOM elements
+   */
+  setupDOM() {
+    if (!this.dialog) return;
+
+    this.form = this.dialog.querySelector('form');
+    this.fromInput = this.dialog.querySelector('#export-from');
+    this.toInput = this.dialog.querySelector('#export-to');
+    this.dpiSelect = this.dialog.querySelector('#export-dpi');
+    this.formatSelect = this.dialog.querySelector('#export-format');
+    this.progressElement = this.dialog.querySelector('.export-progress');
+    this.progressBar = this.dialog.querySelector('.export-progress progress');
+    this.statusElement = this.dialog.querySelector('.export-status');
+    this.cancelButton = this.dialog.querySelector('.export-cancel');
+    this.submitButton = this.dialog.querySelector('.export-submit');
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    if (!this.dialog) return;
+
+    this.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.exportPages();
+    });
+    this.cancelButton.addEventListener('click', () => this.cancel());
+
+    // Escape cancels a running export instead of leaving it running behind a closed dialog
+    this.dialog.addEventListener('cancel', (e) => {
+      e.preventDefault();
+      this.cancel();
+    });
+  }
+
+  /**
+   * Open the export dialog for the current page
+   */
+  open() {
+    const pdfViewer = this.pdfViewer;
+    if (!this.dialog || !pdfViewer.pdfDocument || this.dialog.open) return;
+
+    [this.fromInput, this.toInput].forEach(input => {
+      input.max = pdfViewer.totalPages;
+      input.value = pdfViewer.currentPage;
+    });
+    this.setBusy(false);
+    this.progressElement.classList.add('hidden');
+
+    this.dialog.showModal();
+    this.fromInput.focus();
+  }
+
+  /**
+   * Stop the running export, or close the dialog if nothing is running
+   */
+  cancel() {
+    if (this.job) {
+      this.job.cancelled = true;
+      this.job.task?.cancel();
+    } else if (this.dialog?.open) {
+      this.dialog.close();
+    }
+  }
+
+  /**
+   * Disable the options while exporting
+   */
+  setBusy(busy) {
+    [this.fromInput, this.toInput, this.dpiSelect, this.formatSelect, this.submitButton].forEach(element => {
+      element.disabled = busy;
+    });
+  }
+
+  /**
+   * Show export progress
+   */
+  updateProgress(done, total, message) {
+    this.progressElement.classList.remove('hidden');
+    this.progressBar.max = total;
+    this.progressBar.value = done;
+    this.statusElement.textContent = message || `${done} / ${total}ページ`;
+  }
+
+  /**
+   * Export the selected page range
+   */
+  async exportPages() {
+    const pdfDocument = this.pdfViewer.pdfDocument;
+    const file = this.pdfViewer.currentFile;
+    if (!pdfDocument || !file || this.job) return;
+
+    const totalPages = this.pdfViewer.totalPages;
+    const clamp = (value) => Math.min(Math.max(parseInt(value) || 1, 1), totalPages);
+    let from = clamp(this.fromInput.value);
+    let to = clamp(this.toInput.value);
+    if (from > to) {
+      [from, to] = [to, from];
+    }
+
+    const dpi = parseInt(this.dpiSelect.value);
+    const type = this.formatSelect.value;
+    const extension = type === 'image/jpeg' ? 'jpg' : 'png';
+    const baseName = file.fileName.replace(/\.pdf$/i, '');
+    const digits = String(to).length;
+    const count = to - from + 1;
+
+    const job = { cancelled: false, task: null };
+    this.job = job;
+    this.setBusy(true);
+
+    try {
+      const images = [];
+      for (let pageNumber = from; pageNumber <= to; pageNumber++) {
+        this.updateProgress(pageNumber - from, count);
+        const blob = await this.renderPageImage(pdfDocument, pageNumber, dpi, type, job);
+        if (job.cancelled) break;
+
+        images.push({ name: `${baseName}_p${String(pageNumber).padStart(digits, '0')}.${extension}`, blob });
+      }
+
+      if (job.cancelled) {
+        Utils.showToast('書き出しをキャンセルしました', 'warning');
+        return;
+      }
+
+      if (images.length === 1) {
+        Utils.downloadBlob(images[0].blob, images[0].name);
+      } else {
+        this.updateProgress(count, count, 'ZIPを作成中…');
+        const zip = await ZipArchive.create(images);
+        Utils.downloadBlob(zip, `${baseName}_p${from}-${to}.zip`);
+      }
+
+      this.dialog.close();
+      Utils.showToast(`${count}ページを書き出しました`, 'success');
+    } catch (error) {
+      if (job.cancelled || error.name === 'RenderingCancelledException') {
+        Utils.showToast('書き出しをキャンセルしました', 'warning');
+      } else {
+        console.error('Failed to export pages:', error);
+        Utils.showToast('ページの書き出しに失敗しました', 'error');
+      }
+    } finally {
+      this.job = null;
+      this.setBusy(false);
+      if (job.cancelled && this.dialog.open) {
+        this.dialog.close();
+      }
+    }
+  }
+
+  /**
+   * Render one page to an image
+   * @param {PDFDocumentProxy} pdfDocument - Document
+   * @param {number} pageNumber - Page number
+   * @param {number} dpi - Resolution (72 is the page's size in points)
+   * @param {string} type - Image MIME type
+   * @param {Object} job - Running export, which holds the render task so it can be cancelled
+   * @returns {Promise<Blob>} Image blob
+   */
+  async renderPageImage(pdfDocument, pageNumber, dpi, type, job) {
+    const page = await pdfDocument.getPage(pageNumber);
+    const rotation = this.pdfViewer.getPageRotation(page);
+
+    // Lower the resolution of huge pages to what a canvas can hold
+    const pageSize = page.getViewport({ scale: 1, rotation });
+    const maxScale = Math.sqrt(PDFViewer.MAX_CANVAS_PIXELS / (pageSize.width * pageSize.height));
+    const viewport = page.getViewport({ scale: Math.min(dpi / 72, maxScale), rotation });
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.floor(viewport.width);
+    canvas.height = Math.floor(viewport.height);
+
+    try {
+      // Draw the form fields with the values entered in the viewer
+      job.task = page.render({
+        canvasContext: canvas.getContext('2d'),
+        viewport,
+        annotationMode: pdfjsLib.AnnotationMode.ENABLE_STORAGE
+      });
+      await job.task.promise;
+      job.task = null;
+
+      const blob = await new Promise(resolve => canvas.toBlob(resolve, type, PDFPageExporter.JPEG_QUALITY));
+      if (!blob) {
+        throw new Error(`Failed to encode page ${pageNumber}`);
+      }
+      return blob;
+    } finally {
+      canvas.width = 0;
+      canvas.height = 0;
+    }
+  }
+}
+
+// Quality of exported JPEG images (0 to 1)
+PDFPageExporter.JPEG_QUALITY = 0.92;
+
+// Make PDFPageExporter available globally
+window.PDFPageExporter = PDFPageExporter;
@@ -0,0 +1,153 @@
+// Pink Reader PWA - PDF Password Component
+
+/**
+ * PDFPasswordPrompt class - Opens password-protected PDFs
+ * Asks for the password through PDF.js's onPassword callback, retries on a wrong one and
+ * can remember it for the rest of the session (in memory only, never written to storage)
+ */
+class PDFPasswordPrompt {
+  constructor(dialogElement) {
+    this.dialog = dialogElement;
+
+    // DOM elements
+    this.form = null;
+    this.messageElement = null;
+    this.errorElement = null;
+    this.passwordInput = null;
+    this.rememberCheckbox = null;
+    this.cancelButton = null;
+
+    // Passwords remembered for this session, by file ID
+    this.sessionPasswords = new Map();
+
+    // Ends the prompt being shown (with null, as if cancelled) when another one replaces it
+    this.finishPending = null;
+
+    this.setupDOM();
+  }
+
+  /**
+   * Setup DOM elements
+   */
+  setupDOM() {
+    if (!this.dialog) return;
+
+    this.form = this.dialog.querySelector('form');
+    this.messageElement = this.dialog.querySelector('.password-message');
+    this.errorElement = this.dialog.querySelector('.password-error');
+    this.passwordInput = this.dialog.querySelector('#pdf-password');
+    this.rememberCheckbox = this.dialog.querySelector('#pdf-password-remember');
+    this.cancelButton = this.dialog.querySelector('.password-cancel');
+  }
+
+  /**
+   * Open a PDF, asking for its password if it is encrypted
+   * @param {ArrayBuffer} data - PDF data
+   * @param {Object} file - File metadata (for the remembered password and the prompt)
+   * @returns {Promise<PDFDocumentProxy>} Opened document
+   * @throws {Error} PasswordCancelledException if the user cancels the prompt
+   */
+  async openDocument(data, file) {
+    const loadingTask = pdfjsLib.getDocument({ data });
+    let entered = null;
+    let cancelled = false;
+
+    loadingTask.onPassword = async (updatePassword, reason) => {
+      const isRetry = reason === pdfjsLib.PasswordResponses.INCORRECT_PASSWORD;
+      const remembered = this.sessionPasswords.get(file.id);
+
+      // Try the password remembered for this session before asking
+      if (remembered && !entered) {
+        entered = { password: remembered, remember: true };
+        updatePassword(remembered);
+        return;
+      }
+      if (isRetry && entered?.password === remembered) {
+        this.sessionPasswords.delete(file.id);
+      }
+
+      entered = await this.ask(file, isRetry);
+      if (entered) {
+        updatePassword(entered.password);
+      } else {
+        cancelled = true;
+        loadingTask.destroy();
+      }
+    };
+
+    try {
+      const pdfDocument = await loadingTask.promise;
+      if (entered?.remember) {
+        this.sessionPasswords.set(file.id, entered.password);
+      }
+      return pdfDocument;
+    } catch (error) {
+      if (cancelled) {
+        const cancelError = new Error('Password entry was cancelled');
+        cancelError.name = 'PasswordCancelledException';
+        throw cancelError;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Show the password dialog
+   * A prompt still open for another file (opened by switching files meanwhile) is cancelled
+   * @param {Object} file - File metadata
+   * @param {boolean} isRetry - Whether the previous password was wrong
+   * @returns {Promise<Object|null>} {password, remember}, or null if cancelled
+   */
+  ask(file, isRetry) {
+    if (!this.dialog) {
+      const password = prompt(`「${file.fileName}」のパスワード`, '');
+      return Promise.resolve(password ? { password, remember: false } : null);
+    }
+
+    this.cancel();
+
+    return new Promise(resolve => {
+      this.messageElement.textContent = `「${file.fileName}」はパスワードで保護されています`;
+      this.errorElement.classList.toggle('hidden', !isRetry);
+      this.passwordInput.value = '';
+      this.rememberCheckbox.checked = this.sessionPasswords.has(file.id);
+
+      const finish = (result) => {
+        this.form.removeEventListener('submit', onSubmit);
+        this.cancelButton.removeEventListener('click', onCancel);
+        this.dialog.removeEventListener('cancel', onCancel);
+        this.finishPending = null;
+        if (this.dialog.open) {
+          this.dialog.close();
+        }
+        resolve(result);
+      };
+      const onSubmit = (e) => {
+        e.preventDefault();
+        finish({ password: this.passwordInput.value, remember: this.rememberCheckbox.checked });
+      };
+      const onCancel = (e) => {
+        e.preventDefault();
+        finish(null);
+      };
+
+      this.form.addEventListener('submit', onSubmit);
+      this.cancelButton.addEventListener('click', onCancel);
+      this.dialog.addEventListener('cancel', onCancel);
+      this.finishPending = finish;
+
+      this.dialog.showModal();
+      this.passwordInput.focus();
+    });
+  }
+
+  /**
+   * Close the prompt being shown, if any, as if it was cancelled
+   */
+  cancel() {
+    this.finishPending?.(null);
+  }
+}
+
+// Make PDFPasswordPrompt available globally
+window.PDFPasswordPrompt = PDFPasswordPrompt;
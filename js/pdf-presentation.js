@@ -0,0 +1,392 @@
+// Pink Reader PWA - PDF Presentation Component
+
+/**
+ * PDFPresentation class - Full-screen slide show of the open PDF
+ * Hides every control and lets PDFViewer show one page at a time fitted to the screen
+ * (through its usual renderPage and render cache). A tap or click advances, pages can
+ * advance by themselves at an interval, and a small overlay shows the elapsed time and
+ * slide count. B blanks the screen, the mouse shows as a laser pointer, Escape ends it.
+ */
+class PDFPresentation {
+  constructor(containerElement, pdfViewer) {
+    this.container = containerElement;
+    this.pdfViewer = pdfViewer;
+
+    // DOM elements
+    this.startButton = null;
+    this.hudElement = null;
+    this.timeElement = null;
+    this.countElement = null;
+    this.countdownElement = null;
+    this.intervalSelect = null;
+    this.exitButton = null;
+    this.blankElement = null;
+    this.pointerElement = null;
+
+    // State
+    this.startTime = 0;
+    this.slidePage = 0;
+    this.slideStartTime = 0;
+    this.interval = 0;
+    this.isBlank = false;
+    this.clockTimer = null;
+    this.pointerTimer = null;
+
+    // Where and when the primary pointer went down {x, y, time}, to tell taps from swipes
+    this.pointerStart = null;
+
+    this.init();
+  }
+
+  /**
+   * Initialize presentation
+   */
+  init() {
+    this.setupDOM();
+    this.setupEventListeners();
+
+    this.pdfViewer.on('presentationChanged', (presenting) => {
+      if (presenting) {
+        this.handleStart();
+      } else {
+        this.handleEnd();
+      }
+    });
+    this.pdfViewer.on('pageRendered', () => this.handlePageShown());
+  }
+
+  /**
+   * Setup DOM elements
+   */
+  setupDOM() {
+    this.startButton = this.container.querySelector('#start-presentation');
+    this.hudElement = this.container.querySelector('.presentation-hud');
+    this.timeElement = this.container.querySelector('.presentation-time');
+    this.countElement = this.container.querySelector('.presentation-count');
+    this.countdownElement = this.container.querySelector('.presentation-countdown');
+    this.intervalSelect = this.container.querySelector('.presentation-interval');
+    this.exitButton = this.container.querySelector('.presentation-exit');
+    this.blankElement = this.container.querySelector('.presentation-blank');
+    this.pointerElement = this.container.querySelector('.presentation-pointer');
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    this.startButton?.addEventListener('click', () => this.start());
+    this.exitButton?.addEventListener('click', () => this.stop());
+    this.intervalSelect?.addEventListener('change', (e) => {
+      this.interval = parseInt(e.target.value) || 0;
+      this.slideStartTime = Date.now();
+      this.update();
+    });
+
+    // Taps and clicks turn the page (right-click goes back); the pointer draws the laser dot
+    this.container.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+    this.container.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+    this.container.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+    this.container.addEventListener('pointercancel', () => {
+      this.pointerStart = null;
+      this.hidePointer();
+    });
+    this.container.addEventListener('contextmenu', (e) => {
+      if (this.pdfViewer.isPresenting) {
+        e.preventDefault();
+      }
+    });
+
+    // Captured on the window so that, while presenting, keys reach nothing but the slide show
+    window.addEventListener('keydown', (e) => this.handleKeyDown(e), true);
+
+    // Leaving full screen (Escape in most browsers) ends the presentation
+    document.addEventListener('fullscreenchange', () => {
+      if (this.pdfViewer.isPresenting && !document.fullscreenElement) {
+        this.stop();
+      }
+    });
+  }
+
+  /**
+   * Start presenting the open PDF from the current page
+   */
+  start() {
+    if (!this.pdfViewer.pdfDocument || this.pdfViewer.isPresenting) return;
+
+    this.pdfViewer.setPresentationMode(true);
+
+    // Without full screen support (iPhone) the viewer still covers the whole window
+    this.container.requestFullscreen?.().catch(error => {
+      console.warn('Full screen is not available:', error);
+    });
+  }
+
+  /**
+   * End the presentation
+   */
+  stop() {
+    this.pdfViewer.setPresentationMode(false);
+  }
+
+  /**
+   * Start the clock when the viewer enters presentation mode
+   */
+  handleStart() {
+    const now = Date.now();
+    this.startTime = now;
+    this.slideStartTime = now;
+    this.slidePage = this.pdfViewer.currentPage;
+    this.setBlank(false);
+
+    this.hudElement?.classList.remove('hidden');
+    this.clockTimer = setInterval(() => this.tick(), PDFPresentation.CLOCK_INTERVAL);
+    this.update();
+  }
+
+  /**
+   * Clean up when the viewer leaves presentation mode (also when the document closes)
+   */
+  handleEnd() {
+    clearInterval(this.clockTimer);
+    this.clockTimer = null;
+    this.pointerStart = null;
+    this.setBlank(false);
+    this.hidePointer();
+    this.hudElement?.classList.add('hidden');
+
+    if (document.fullscreenElement === this.container) {
+      document.exitFullscreen().catch(() => {});
+    }
+  }
+
+  /**
+   * Restart the auto-advance countdown when another slide is shown
+   */
+  handlePageShown() {
+    if (!this.pdfViewer.isPresenting || this.pdfViewer.currentPage === this.slidePage) return;
+
+    this.slidePage = this.pdfViewer.currentPage;
+    this.slideStartTime = Date.now();
+    this.update();
+  }
+
+  /**
+   * Advance the clock, and the slide when its time is up
+   */
+  tick() {
+    const viewer = this.pdfViewer;
+    const isLastPage = viewer.currentPage >= viewer.totalPages;
+    if (this.interval && !this.isBlank && !isLastPage &&
+        Date.now() - this.slideStartTime >= this.interval * 1000) {
+      this.slideStartTime = Date.now();
+      viewer.nextPage();
+    }
+    this.update();
+  }
+
+  /**
+   * Show the elapsed time, the slide count and the auto-advance countdown
+   */
+  update() {
+    const viewer = this.pdfViewer;
+
+    if (this.timeElement) {
+      this.timeElement.textContent = Utils.formatTime((Date.now() - this.startTime) / 1000);
+    }
+    if (this.countElement) {
+      this.countElement.textContent = `${viewer.currentPage} / ${viewer.totalPages}`;
+    }
+    if (this.countdownElement) {
+      const showCountdown = this.interval && !this.isBlank && viewer.currentPage < viewer.totalPages;
+      const remaining = Math.ceil(this.interval - (Date.now() - this.slideStartTime) / 1000);
+      this.countdownElement.textContent = showCountdown ? `次へ ${Math.max(0, remaining)}秒` : '';
+    }
+  }
+
+  /**
+   * Blank the screen, or show the slide again
+   */
+  setBlank(blank) {
+    this.isBlank = blank;
+    this.blankElement?.classList.toggle('hidden', !blank);
+
+    // Auto-advance waits while the screen is blank and starts over after
+    if (!blank) {
+      this.slideStartTime = Date.now();
+    }
+    this.update();
+  }
+
+  /**
+   * Go to the next slide (or back to the slide from a blank screen)
+   */
+  next() {
+    if (this.isBlank) {
+      this.setBlank(false);
+    } else {
+      this.pdfViewer.nextPage();
+    }
+  }
+
+  /**
+   * Go to the previous slide (or back to the slide from a blank screen)
+   */
+  previous() {
+    if (this.isBlank) {
+      this.setBlank(false);
+    } else {
+      this.pdfViewer.previousPage();
+    }
+  }
+
+  /**
+   * Handle keyboard shortcuts
+   * While presenting, only the viewer's page keys (plain arrows, Home and End) go on to the
+   * other shortcut handlers; switching files, rotating, zooming and the like are held back
+   */
+  handleKeyDown(e) {
+    const viewer = this.pdfViewer;
+    if (!viewer.currentFile || viewer.currentFile.mediaType !== 'pdf') return;
+    if (Utils.isEditableTarget(e.target)) return;
+
+    if (!viewer.isPresenting) {
+      if ((e.key === 'p' || e.key === 'P') && !e.ctrlKey && !e.metaKey && !e.altKey) {
+        e.preventDefault();
+        this.start();
+      }
+      return;
+    }
+
+    const hasModifier = e.ctrlKey || e.metaKey || e.altKey;
+    if (!hasModifier && PDFPresentation.VIEWER_KEYS.includes(e.key)) return;
+    e.stopPropagation();
+    if (hasModifier) return;
+
+    switch (e.key) {
+      case ' ':
+      case 'PageDown':
+        e.preventDefault();
+        this.next();
+        break;
+      case 'PageUp':
+      case 'Backspace':
+        e.preventDefault();
+        this.previous();
+        break;
+      case 'b':
+      case 'B':
+      case '.':
+        e.preventDefault();
+        this.setBlank(!this.isBlank);
+        break;
+      case 'Escape':
+        e.preventDefault();
+        this.stop();
+        break;
+    }
+  }
+
+  /**
+   * Remember where a tap may start, and show the laser dot under a finger or pen
+   */
+  handlePointerDown(e) {
+    if (!this.pdfViewer.isPresenting || !e.isPrimary) return;
+
+    this.pointerStart = { x: e.clientX, y: e.clientY, time: Date.now() };
+    if (e.pointerType !== 'mouse' && !this.isControlTarget(e.target)) {
+      this.showPointer(e.clientX, e.clientY);
+    }
+  }
+
+  /**
+   * Move the laser dot with the mouse, or with a finger or pen while it touches
+   */
+  handlePointerMove(e) {
+    if (!this.pdfViewer.isPresenting || !e.isPrimary) return;
+
+    if (this.isControlTarget(e.target)) {
+      this.hidePointer();
+    } else if (e.pointerType === 'mouse' || this.pointerStart) {
+      this.showPointer(e.clientX, e.clientY);
+    }
+  }
+
+  /**
+   * Turn the page on a tap or click (swipes are left to the viewer)
+   */
+  handlePointerUp(e) {
+    const start = this.pointerStart;
+    this.pointerStart = null;
+    if (!this.pdfViewer.isPresenting || !e.isPrimary || !start) return;
+
+    if (e.pointerType !== 'mouse') {
+      this.hidePointer();
+    }
+
+    const distance = Math.hypot(e.clientX - start.x, e.clientY - start.y);
+    const isTap = distance < PDFPresentation.TAP_DISTANCE && Date.now() - start.time < PDFPresentation.TAP_DURATION;
+    if (!isTap || this.isControlTarget(e.target)) return;
+
+    if (e.button === 2) {
+      this.previous();
+    } else if (e.button === 0) {
+      this.next();
+    }
+  }
+
+  /**
+   * Check whether a pointer is over something with its own click action
+   * (the overlay, links and form fields)
+   */
+  isControlTarget(target) {
+    return !!target.closest?.('.presentation-hud') ||
+      PDFLinkLayer.isLinkTarget(target) ||
+      Utils.isEditableTarget(target);
+  }
+
+  /**
+   * Show the laser dot at a point of the screen
+   */
+  showPointer(x, y) {
+    if (!this.pointerElement) return;
+
+    this.pointerElement.style.transform = `translate(${x}px, ${y}px)`;
+    this.pointerElement.classList.remove('hidden');
+
+    // The mouse dot fades out when the mouse rests
+    clearTimeout(this.pointerTimer);
+    this.pointerTimer = setTimeout(() => this.hidePointer(), PDFPresentation.POINTER_HIDE_DELAY);
+  }
+
+  /**
+   * Hide the laser dot
+   */
+  hidePointer() {
+    clearTimeout(this.pointerTimer);
+    this.pointerTimer = null;
+    this.pointerElement?.classList.add('hidden');
+  }
+
+  /**
+   * Dispose presentation resources
+   */
+  dispose() {
+    this.stop();
+  }
+}
+
+// Keys the viewer's own shortcuts still handle during a presentation
+PDFPresentation.VIEWER_KEYS = ['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End'];
+
+// Update interval (ms) of the clock and auto-advance
+PDFPresentation.CLOCK_INTERVAL = 250;
+
+// Largest movement (px) and duration (ms) of a tap that turns the page
+PDFPresentation.TAP_DISTANCE = 10;
+PDFPresentation.TAP_DURATION = 500;
+
+// Time (ms) the laser dot stays after the pointer stops moving
+PDFPresentation.POINTER_HIDE_DELAY = 2000;
+
+// Make PDFPresentation available globally
+window.PDFPresentation = PDFPresentation;
@@ -0,0 +1,220 @@
+// Pink Reader PWA - PDF Properties Component
+
+/**
+ * PDFProperties class - Document information panel
+ * Shows the PDF's metadata with the page and file size, keeps the metadata on the file
+ * record (where library search finds it) and offers the embedded title as display name
+ */
+class PDFProperties {
+  constructor(containerElement, pdfViewer, mediaManager) {
+    this.container = containerElement;
+    this.pdfViewer = pdfViewer;
+    this.mediaManager = mediaManager;
+
+    // DOM elements
+    this.propertiesElement = null;
+
+    // State
+    this.metadata = null;
+    this.pageSize = null;
+
+    this.init();
+  }
+
+  /**
+   * Initialize properties panel
+   */
+  init() {
+    this.setupDOM();
+    this.setupEventListeners();
+
+    this.pdfViewer.on('documentLoaded', ({ pdfDocument, file }) => this.loadProperties(pdfDocument, file));
+    this.pdfViewer.on('documentCleared', () => this.clear());
+    this.pdfViewer.on('pageChanged', () => this.updatePageSize());
+    this.pdfViewer.on('rotationChanged', () => this.updatePageSize());
+
+    // The display name may change from here or elsewhere
+    this.mediaManager.on('filesChanged', () => this.render());
+  }
+
+  /**
+   * Setup DOM elements
+   */
+  setupDOM() {
+    this.propertiesElement = this.container.querySelector('#pdf-properties');
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    this.propertiesElement?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-display-name]');
+      const file = this.pdfViewer.currentFile;
+      if (!button || !file) return;
+
+      this.mediaManager.updateFileDetails(file, { displayName: button.dataset.displayName });
+    });
+  }
+
+  /**
+   * Read the metadata of a document and store it on its file when it changed
+   */
+  async loadProperties(pdfDocument, file) {
+    this.clear();
+    this.showMessage('読み込み中...');
+
+    try {
+      const metadata = await Utils.getPDFMetadata(pdfDocument);
+      if (this.pdfViewer.pdfDocument !== pdfDocument) return;
+
+      this.metadata = metadata;
+      if (JSON.stringify(file.metadata) !== JSON.stringify(metadata)) {
+        this.mediaManager.updateFileDetails(file, { metadata });
+      }
+      await this.updatePageSize();
+    } catch (error) {
+      console.error('Failed to load document properties:', error);
+      this.showMessage('文書の情報を読み込めませんでした');
+    }
+  }
+
+  /**
+   * Measure the current page (as displayed)
+   */
+  async updatePageSize() {
+    const pdfDocument = this.pdfViewer.pdfDocument;
+    if (!pdfDocument || !this.metadata) return;
+
+    try {
+      const page = await pdfDocument.getPage(this.pdfViewer.currentPage);
+      if (this.pdfViewer.pdfDocument !== pdfDocument) return;
+
+      const viewport = page.getViewport({ scale: 1, rotation: this.pdfViewer.getPageRotation(page) });
+      this.pageSize = { pageNumber: page.pageNumber, width: viewport.width, height: viewport.height };
+    } catch (error) {
+      console.warn('Failed to measure page:', error);
+      this.pageSize = null;
+    }
+    this.render();
+  }
+
+  /**
+   * Render the properties of the open document
+   */
+  render() {
+    const file = this.pdfViewer.currentFile;
+    if (!this.propertiesElement || !file || !this.metadata) return;
+
+    const metadata = this.metadata;
+    const rows = [
+      ['タイトル', metadata.title],
+      ['作成者', metadata.author],
+      ['件名', metadata.subject],
+      ['キーワード', metadata.keywords],
+      ['作成日時', PDFProperties.formatDate(metadata.creationDate)],
+      ['更新日時', PDFProperties.formatDate(metadata.modificationDate)],
+      ['アプリケーション', metadata.creator],
+      ['PDF変換', metadata.producer],
+      ['PDFバージョン', metadata.pdfVersion],
+      ['暗号化', metadata.encryption ? `あり（${metadata.encryption}）` : 'なし'],
+      ['ページ数', `${this.pdfViewer.totalPages}ページ`],
+      ['ページサイズ', this.pageSize ? PDFProperties.formatPageSize(this.pageSize) : ''],
+      ['ファイルサイズ', Utils.formatFileSize(file.fileSize)],
+      ['ファイル名', file.fileName]
+    ];
+
+    const list = rows.map(([label, value]) => `
+      <dt>${label}</dt>
+      <dd>${value ? Utils.escapeHtml(value) : '<span class="pdf-properties-none">—</span>'}</dd>
+    `).join('');
+
+    this.propertiesElement.innerHTML = `<dl class="pdf-properties-list">${list}</dl>`;
+
+    // Suggest the embedded title as the name shown in the library
+    if (metadata.title && metadata.title !== file.displayName) {
+      this.addNameAction('タイトルを表示名にする', metadata.title);
+    } else if (file.displayName !== file.fileName) {
+      this.addNameAction('表示名をファイル名に戻す', file.fileName);
+    }
+  }
+
+  /**
+   * Add a button that sets the file's display name
+   */
+  addNameAction(label, displayName) {
+    const button = document.createElement('button');
+    button.className = 'pdf-properties-action';
+    button.textContent = label;
+    button.title = displayName;
+    button.dataset.displayName = displayName;
+    this.propertiesElement.appendChild(button);
+  }
+
+  /**
+   * Format an ISO date for display
+   */
+  static formatDate(isoString) {
+    if (!isoString) return '';
+    return new Date(isoString).toLocaleString('ja-JP');
+  }
+
+  /**
+   * Format a page size in millimetres (and points), with its paper name when it has one
+   */
+  static formatPageSize({ pageNumber, width, height }) {
+    const toMillimetres = (points) => Math.round(points * 25.4 / 72);
+    const widthMm = toMillimetres(width);
+    const heightMm = toMillimetres(height);
+
+    const [shortSide, longSide] = [widthMm, heightMm].sort((a, b) => a - b);
+    const paper = Object.entries(PDFProperties.PAPER_SIZES).find(([, [paperShort, paperLong]]) =>
+      Math.abs(paperShort - shortSide) <= 2 && Math.abs(paperLong - longSide) <= 2
+    );
+    const name = paper ? ` ${paper[0]}${widthMm > heightMm ? '横' : '縦'}` : '';
+
+    return `${widthMm} × ${heightMm} mm${name}（${Math.round(width)} × ${Math.round(height)} pt、${pageNumber}ページ目）`;
+  }
+
+  /**
+   * Show a message instead of the properties
+   */
+  showMessage(message) {
+    if (!this.propertiesElement) return;
+    this.propertiesElement.innerHTML = `<p class="pdf-panel-empty">${Utils.escapeHtml(message)}</p>`;
+  }
+
+  /**
+   * Clear properties state
+   */
+  clear() {
+    this.metadata = null;
+    this.pageSize = null;
+    if (this.propertiesElement) {
+      this.propertiesElement.innerHTML = '';
+    }
+  }
+
+  /**
+   * Dispose properties panel resources
+   */
+  dispose() {
+    this.clear();
+  }
+}
+
+// Common paper sizes in millimetres (short side, long side)
+PDFProperties.PAPER_SIZES = {
+  A3: [297, 420],
+  A4: [210, 297],
+  A5: [148, 210],
+  A6: [105, 148],
+  B4: [257, 364],
+  B5: [182, 257],
+  B6: [128, 182],
+  Letter: [216, 279],
+  Legal: [216, 356]
+};
+
+// Make PDFProperties available globally
+window.PDFProperties = PDFProperties;
@@ -0,0 +1,688 @@
+// Pink Reader PWA - PDF Read Aloud Component
+
+/**
+ * PDFReadAloud class - Reads the open PDF aloud with the Web Speech API
+ * Page text from getTextContent() is split into sentences (Japanese and English
+ * punctuation), spoken one sentence at a time with the chosen voice, rate and pitch, and
+ * highlighted over the page. Pages turn as reading moves on, and the last spoken sentence
+ * is kept per file (readAloudPosition) so reading resumes there.
+ */
+class PDFReadAloud {
+  constructor(containerElement, pdfViewer, mediaManager) {
+    this.container = containerElement;
+    this.pdfViewer = pdfViewer;
+    this.mediaManager = mediaManager;
+
+    // DOM elements
+    this.toggleButton = null;
+    this.bar = null;
+    this.playButton = null;
+    this.prevButton = null;
+    this.nextButton = null;
+    this.voiceSelect = null;
+    this.rateInput = null;
+    this.rateValue = null;
+    this.pitchInput = null;
+    this.pitchValue = null;
+    this.statusElement = null;
+    this.closeButton = null;
+    this.highlightLayer = null;
+
+    // Page texts of the current document {items, text, charMap, sentences}, by page number
+    this.pdfDocument = null;
+    this.pageTexts = new Map();
+
+    // Sentence being read {pageNumber, index}, and its page text once resolved
+    this.position = null;
+    this.current = null;
+
+    // Playback. playId changes whenever playback stops or jumps, so stale steps give up
+    this.isPlaying = false;
+    this.playId = 0;
+    this.utterance = null;
+    this.spokenCount = 0;
+    this.voices = [];
+
+    this.init();
+  }
+
+  /**
+   * Initialize read-aloud
+   */
+  init() {
+    this.setupDOM();
+
+    if (!PDFReadAloud.isSupported()) {
+      this.toggleButton?.classList.add('hidden');
+      return;
+    }
+
+    this.setupEventListeners();
+    this.loadVoices();
+    this.updateOptions(this.mediaManager.readAloud);
+
+    this.pdfViewer.on('documentLoaded', () => this.reset());
+    this.pdfViewer.on('documentCleared', () => {
+      this.reset();
+      this.close();
+    });
+    this.pdfViewer.on('pageRendered', () => this.handleViewChange());
+    this.pdfViewer.on('pageChanged', () => this.handleViewChange());
+
+    this.mediaManager.on('settingsChanged', (settings) => this.updateOptions(settings.readAloud));
+  }
+
+  /**
+   * Setup DOM elements
+   */
+  setupDOM() {
+    this.toggleButton = this.container.querySelector('#toggle-read-aloud');
+    this.bar = this.container.querySelector('#pdf-read-aloud-bar');
+    this.playButton = this.container.querySelector('#read-aloud-play');
+    this.prevButton = this.container.querySelector('#read-aloud-prev');
+    this.nextButton = this.container.querySelector('#read-aloud-next');
+    this.voiceSelect = this.container.querySelector('#read-aloud-voice');
+    this.rateInput = this.container.querySelector('#read-aloud-rate');
+    this.rateValue = this.container.querySelector('#read-aloud-rate-value');
+    this.pitchInput = this.container.querySelector('#read-aloud-pitch');
+    this.pitchValue = this.container.querySelector('#read-aloud-pitch-value');
+    this.statusElement = this.container.querySelector('#read-aloud-status');
+    this.closeButton = this.container.querySelector('#read-aloud-close');
+    this.highlightLayer = this.container.querySelector('#pdf-read-aloud-layer');
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    this.toggleButton?.addEventListener('click', () => {
+      if (this.isOpen()) {
+        this.close();
+      } else {
+        this.open();
+      }
+    });
+
+    this.playButton?.addEventListener('click', () => {
+      if (this.isPlaying) {
+        this.pause();
+      } else {
+        this.play();
+      }
+    });
+    this.prevButton?.addEventListener('click', () => this.skip(-1));
+    this.nextButton?.addEventListener('click', () => this.skip(1));
+    this.closeButton?.addEventListener('click', () => this.close());
+
+    // New options apply from the sentence being read
+    this.voiceSelect?.addEventListener('change', (e) => {
+      this.mediaManager.setReadAloudOptions({ voiceURI: e.target.value || null });
+      this.restartSentence();
+    });
+    [[this.rateInput, 'rate'], [this.pitchInput, 'pitch']].forEach(([input, option]) => {
+      input?.addEventListener('input', () => this.updateRangeValues());
+      input?.addEventListener('change', () => {
+        this.mediaManager.setReadAloudOptions({ [option]: parseFloat(input.value) });
+        this.restartSentence();
+      });
+    });
+
+    // Voices load asynchronously in most browsers
+    speechSynthesis.addEventListener('voiceschanged', () => this.loadVoices());
+  }
+
+  /**
+   * Check if the browser can speak
+   */
+  static isSupported() {
+    return 'speechSynthesis' in window && 'SpeechSynthesisUtterance' in window;
+  }
+
+  /**
+   * Check if the read-aloud bar is visible
+   */
+  isOpen() {
+    return this.bar && !this.bar.classList.contains('hidden');
+  }
+
+  /**
+   * Show the read-aloud bar
+   */
+  open() {
+    if (!this.pdfViewer.pdfDocument) return;
+
+    this.bar?.classList.remove('hidden');
+    this.toggleButton?.classList.add('active');
+    this.updateControls();
+  }
+
+  /**
+   * Stop reading and hide the read-aloud bar
+   */
+  close() {
+    this.pause();
+    this.position = null;
+    this.current = null;
+    this.clearHighlight();
+    this.bar?.classList.add('hidden');
+    this.toggleButton?.classList.remove('active');
+  }
+
+  /**
+   * Stop reading and forget the texts of the previous document
+   */
+  reset() {
+    this.pause();
+    this.pdfDocument = null;
+    this.pageTexts.clear();
+    this.position = null;
+    this.current = null;
+    this.clearHighlight();
+    this.updateControls();
+  }
+
+  /**
+   * List the voices of the browser, Japanese and English first
+   */
+  loadVoices() {
+    const languageOrder = (voice) => {
+      if (voice.lang.startsWith('ja')) return 0;
+      if (voice.lang.startsWith('en')) return 1;
+      return 2;
+    };
+    this.voices = speechSynthesis.getVoices().slice().sort((a, b) =>
+      languageOrder(a) - languageOrder(b) || a.lang.localeCompare(b.lang) || a.name.localeCompare(b.name)
+    );
+
+    if (!this.voiceSelect) return;
+
+    this.voiceSelect.innerHTML = '';
+    const automatic = document.createElement('option');
+    automatic.value = '';
+    automatic.textContent = '自動（文の言語に合わせる）';
+    this.voiceSelect.appendChild(automatic);
+
+    this.voices.forEach(voice => {
+      const option = document.createElement('option');
+      option.value = voice.voiceURI;
+      option.textContent = `${voice.name}（${voice.lang}）`;
+      this.voiceSelect.appendChild(option);
+    });
+    this.voiceSelect.value = this.mediaManager.readAloud.voiceURI || '';
+  }
+
+  /**
+   * Show the saved voice, rate and pitch
+   */
+  updateOptions(options) {
+    if (!options) return;
+
+    if (this.voiceSelect) {
+      // A saved voice missing on this device falls back to automatic
+      const hasVoice = this.voices.some(voice => voice.voiceURI === options.voiceURI);
+      this.voiceSelect.value = hasVoice ? options.voiceURI : '';
+    }
+    if (this.rateInput) {
+      this.rateInput.value = options.rate;
+    }
+    if (this.pitchInput) {
+      this.pitchInput.value = options.pitch;
+    }
+    this.updateRangeValues();
+  }
+
+  /**
+   * Show the rate and pitch next to their sliders
+   */
+  updateRangeValues() {
+    if (this.rateValue && this.rateInput) {
+      this.rateValue.textContent = `×${parseFloat(this.rateInput.value).toFixed(1)}`;
+    }
+    if (this.pitchValue && this.pitchInput) {
+      this.pitchValue.textContent = parseFloat(this.pitchInput.value).toFixed(1);
+    }
+  }
+
+  /**
+   * Start or resume reading
+   * Reading resumes at the last spoken sentence of the file when its page is shown,
+   * and otherwise starts at the top of the page shown
+   */
+  async play() {
+    const file = this.pdfViewer.currentFile;
+    if (!this.pdfViewer.pdfDocument || !file || this.isPlaying) return;
+
+    if (!this.position || !this.isPageShown(this.position.pageNumber)) {
+      this.position = await this.getStartPosition(file);
+      if (!this.position) return;
+    }
+
+    this.isPlaying = true;
+    this.spokenCount = 0;
+    this.updateControls();
+    this.speakCurrent();
+  }
+
+  /**
+   * Stop speaking, keeping the sentence to resume from
+   */
+  pause() {
+    this.isPlaying = false;
+    this.stopSpeech();
+    this.updateControls();
+  }
+
+  /**
+   * Cancel the utterance being spoken (its end and error events are then ignored)
+   */
+  stopSpeech() {
+    this.playId++;
+    this.utterance = null;
+    if (PDFReadAloud.isSupported()) {
+      speechSynthesis.cancel();
+    }
+  }
+
+  /**
+   * Speak the current sentence again (after the voice, rate or pitch changed)
+   */
+  restartSentence() {
+    if (!this.isPlaying) return;
+
+    this.stopSpeech();
+    this.speakCurrent();
+  }
+
+  /**
+   * Find where reading starts in a file
+   * @param {Object} file - File metadata
+   * @returns {Promise<Object|null>} Position {pageNumber, index}
+   */
+  async getStartPosition(file) {
+    const pdfDocument = this.pdfViewer.pdfDocument;
+    const saved = file.readAloudPosition;
+
+    try {
+      if (saved && this.isPageShown(saved.pageNumber)) {
+        const pageText = await this.getPageText(saved.pageNumber);
+        const index = pageText.sentences.findLastIndex(sentence => sentence.start <= saved.offset);
+        return { pageNumber: saved.pageNumber, index: Math.max(0, index) };
+      }
+      return { pageNumber: this.pdfViewer.getSpreadPages(this.pdfViewer.currentPage)[0], index: 0 };
+    } catch (error) {
+      if (this.pdfViewer.pdfDocument === pdfDocument) {
+        console.error('Failed to read page text:', error);
+        Utils.showToast('テキストの読み込みに失敗しました', 'error');
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Show (and, while playing, speak) the sentence at the current position
+   */
+  async speakCurrent() {
+    const playId = this.playId;
+    const file = this.pdfViewer.currentFile;
+
+    let sentence;
+    try {
+      sentence = await this.showSentence();
+    } catch (error) {
+      if (playId !== this.playId) return;
+      console.error('Failed to read page text:', error);
+      Utils.showToast('テキストの読み込みに失敗しました', 'error');
+      this.pause();
+      return;
+    }
+    if (playId !== this.playId || !this.isPlaying) return;
+
+    if (!sentence) {
+      this.finish(file);
+      return;
+    }
+
+    const utterance = new SpeechSynthesisUtterance(sentence.text);
+    const options = this.mediaManager.readAloud;
+    const voice = this.voices.find(voice => voice.voiceURI === options.voiceURI);
+    if (voice) {
+      utterance.voice = voice;
+      utterance.lang = voice.lang;
+    } else {
+      utterance.lang = PDFReadAloud.guessLanguage(sentence.text) || '';
+    }
+    utterance.rate = options.rate;
+    utterance.pitch = options.pitch;
+
+    utterance.onend = () => {
+      if (this.utterance !== utterance) return;
+      this.utterance = null;
+      this.spokenCount++;
+      this.position = { pageNumber: this.position.pageNumber, index: this.position.index + 1 };
+      this.speakCurrent();
+    };
+    utterance.onerror = (e) => {
+      if (this.utterance !== utterance || e.error === 'interrupted' || e.error === 'canceled') return;
+      console.error('Speech synthesis failed:', e.error);
+      Utils.showToast('読み上げに失敗しました', 'error');
+      this.pause();
+    };
+
+    this.utterance = utterance;
+    speechSynthesis.speak(utterance);
+  }
+
+  /**
+   * Move the position onto the next sentence that exists (skipping pages without text),
+   * turn to its page, highlight it and remember it for the file
+   * @returns {Promise<Object|null>} Sentence {start, end, text}, or null after the last one
+   */
+  async showSentence() {
+    const pdfDocument = this.pdfViewer.pdfDocument;
+    const file = this.pdfViewer.currentFile;
+    if (!pdfDocument || !this.position) return null;
+
+    let { pageNumber, index } = this.position;
+    let pageText = await this.getPageText(pageNumber);
+    while (index >= pageText.sentences.length) {
+      if (pageNumber >= pdfDocument.numPages) return null;
+      pageNumber++;
+      index = 0;
+      pageText = await this.getPageText(pageNumber);
+    }
+    if (this.pdfViewer.pdfDocument !== pdfDocument) return null;
+
+    const sentence = pageText.sentences[index];
+    this.position = { pageNumber, index };
+    this.current = { pageNumber, pageText, sentence };
+
+    // Turning pages while reading is not a jump for the navigation history
+    if (!this.isPageShown(pageNumber)) {
+      this.pdfViewer.goToPage(pageNumber, { record: false });
+    }
+    this.renderHighlight();
+    this.updateControls();
+
+    this.mediaManager.updateViewState(file, {
+      readAloudPosition: { pageNumber, offset: sentence.start }
+    });
+    return sentence;
+  }
+
+  /**
+   * Stop at the end of the document
+   */
+  finish(file) {
+    const spokeNothing = this.spokenCount === 0;
+    this.pause();
+    this.position = null;
+    this.current = null;
+    this.clearHighlight();
+    this.updateControls();
+
+    // The next time starts from the page shown
+    if (file) {
+      this.mediaManager.updateViewState(file, { readAloudPosition: null });
+    }
+    if (spokeNothing) {
+      Utils.showToast('読み上げられるテキストがありません（画像だけのページなど）', 'warning');
+    } else {
+      Utils.showToast('最後まで読み上げました', 'success');
+    }
+  }
+
+  /**
+   * Go to the previous or next sentence
+   * @param {number} delta - -1 for the previous sentence, 1 for the next
+   */
+  async skip(delta) {
+    if (!this.position) return;
+
+    this.stopSpeech();
+    const playId = this.playId;
+    let { pageNumber, index } = this.position;
+    index += delta;
+
+    try {
+      // Going back from the first sentence of a page continues on earlier pages with text
+      while (index < 0 && pageNumber > 1) {
+        pageNumber--;
+        const pageText = await this.getPageText(pageNumber);
+        index = pageText.sentences.length - 1;
+      }
+    } catch (error) {
+      console.error('Failed to read page text:', error);
+      return;
+    }
+    if (playId !== this.playId) return;
+
+    this.position = { pageNumber, index: Math.max(0, index) };
+    if (this.isPlaying) {
+      this.speakCurrent();
+    } else {
+      this.showSentence().catch(error => console.error('Failed to read page text:', error));
+    }
+  }
+
+  /**
+   * Follow the reader when they turn to another page while listening
+   */
+  handleViewChange() {
+    this.renderHighlight();
+
+    if (!this.isPlaying || !this.position || this.isPageShown(this.position.pageNumber)) return;
+
+    this.stopSpeech();
+    this.position = { pageNumber: this.pdfViewer.getSpreadPages(this.pdfViewer.currentPage)[0], index: 0 };
+    this.speakCurrent();
+  }
+
+  /**
+   * Check whether a page is on screen
+   */
+  isPageShown(pageNumber) {
+    return this.pdfViewer.getSpreadPages(this.pdfViewer.currentPage).includes(pageNumber);
+  }
+
+  /**
+   * Get (cached) text of a page, split into sentences
+   * @param {number} pageNumber - Page number
+   * @returns {Promise<Object>} Page text {items, text, charMap, sentences}
+   */
+  getPageText(pageNumber) {
+    const pdfDocument = this.pdfViewer.pdfDocument;
+    if (this.pdfDocument !== pdfDocument) {
+      this.pdfDocument = pdfDocument;
+      this.pageTexts.clear();
+    }
+
+    if (!this.pageTexts.has(pageNumber)) {
+      const pageText = (async () => {
+        const page = await pdfDocument.getPage(pageNumber);
+        const textContent = await page.getTextContent();
+        return PDFReadAloud.buildPageText(textContent.items);
+      })();
+      pageText.catch(() => this.pageTexts.delete(pageNumber));
+      this.pageTexts.set(pageNumber, pageText);
+    }
+    return this.pageTexts.get(pageNumber);
+  }
+
+  /**
+   * Join the text items of a page into one text, mapping each character back to its item
+   * Lines of Japanese text join directly, lines of other text with a space
+   */
+  static buildPageText(items) {
+    const textItems = items.filter(item => typeof item.str === 'string');
+    let text = '';
+    const charMap = [];
+
+    const append = (char, itemIndex, offset) => {
+      text += char;
+      charMap.push({ itemIndex, offset });
+    };
+    const appendSpace = (itemIndex, offset) => {
+      if (text.length > 0 && !text.endsWith(' ')) {
+        append(' ', itemIndex, offset);
+      }
+    };
+
+    textItems.forEach((item, itemIndex) => {
+      for (let offset = 0; offset < item.str.length; offset++) {
+        const char = item.str[offset];
+        if (/\s/.test(char)) {
+          appendSpace(itemIndex, offset);
+        } else {
+          append(char, itemIndex, offset);
+        }
+      }
+
+      if (item.hasEOL && !PDFReadAloud.JAPANESE_PATTERN.test(text.slice(-1))) {
+        appendSpace(itemIndex, item.str.length);
+      }
+    });
+
+    return { items: textItems, text, charMap, sentences: PDFReadAloud.splitSentences(text) };
+  }
+
+  /**
+   * Split text into sentences
+   * Japanese sentences end at 。！？ (and ．), English ones at . ! ? followed by a space,
+   * except after common abbreviations and initials. Closing quotes and brackets stay with
+   * their sentence, and very long runs without punctuation are cut at a comma or space.
+   * @param {string} text - Page text (whitespace already collapsed)
+   * @returns {Object[]} Sentences {start, end, text}
+   */
+  static splitSentences(text) {
+    const sentences = [];
+    let start = 0;
+
+    const addSentence = (end) => {
+      let from = start;
+      let to = end;
+      while (from < to && text[from] === ' ') from++;
+      while (to > from && text[to - 1] === ' ') to--;
+      start = end;
+
+      // Leave out runs of symbols (rules, dot leaders) that have nothing to say
+      const sentence = text.slice(from, to);
+      if (/[\p{L}\p{N}]/u.test(sentence)) {
+        sentences.push({ start: from, end: to, text: sentence });
+      }
+    };
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      const isLast = i + 1 >= text.length;
+      let isEnd = false;
+
+      if ('。！？．'.includes(char)) {
+        isEnd = true;
+      } else if ('.!?'.includes(char)) {
+        const next = text[i + 1];
+        isEnd = (isLast || next === ' ' || PDFReadAloud.CLOSING_MARKS.includes(next)) &&
+          !(char === '.' && PDFReadAloud.ABBREVIATION_PATTERN.test(text.slice(start, i)));
+      }
+
+      if (isEnd) {
+        let end = i + 1;
+        while (end < text.length && (PDFReadAloud.CLOSING_MARKS.includes(text[end]) || '。！？．.!?'.includes(text[end]))) {
+          end++;
+        }
+        addSentence(end);
+        i = end - 1;
+      } else if (i - start >= PDFReadAloud.MAX_SENTENCE_LENGTH &&
+          (' 、，,'.includes(char) || i - start >= PDFReadAloud.MAX_SENTENCE_LENGTH * 2)) {
+        addSentence(i + 1);
+      }
+    }
+    addSentence(text.length);
+
+    return sentences;
+  }
+
+  /**
+   * Guess the language of a sentence for the automatic voice
+   * @returns {string|null} BCP 47 language tag
+   */
+  static guessLanguage(text) {
+    if (PDFReadAloud.JAPANESE_PATTERN.test(text)) return 'ja-JP';
+    if (/[A-Za-z]/.test(text)) return 'en-US';
+    return null;
+  }
+
+  /**
+   * Highlight the sentence being read if its page is on screen
+   */
+  renderHighlight() {
+    this.clearHighlight();
+    if (!this.highlightLayer || !this.current) return;
+
+    const { pageNumber, pageText, sentence } = this.current;
+    const layout = this.pdfViewer.pageLayouts.find(pageLayout => pageLayout.pageNumber === pageNumber);
+    if (!layout) return;
+
+    PDFSearch.getMatchRects(pageText, sentence, layout.viewport).forEach(rect => {
+      const highlight = document.createElement('div');
+      highlight.className = 'pdf-read-aloud-highlight';
+      highlight.style.left = `${layout.x + rect.left}px`;
+      highlight.style.top = `${layout.y + rect.top}px`;
+      highlight.style.width = `${rect.width}px`;
+      highlight.style.height = `${rect.height}px`;
+      this.highlightLayer.appendChild(highlight);
+    });
+  }
+
+  /**
+   * Remove the sentence highlight
+   */
+  clearHighlight() {
+    if (this.highlightLayer) {
+      this.highlightLayer.innerHTML = '';
+    }
+  }
+
+  /**
+   * Update the play button and the position readout
+   */
+  updateControls() {
+    if (this.playButton) {
+      this.playButton.textContent = this.isPlaying ? '⏸️' : '▶️';
+      this.playButton.title = this.isPlaying ? '一時停止' : '読み上げ開始';
+    }
+    [this.prevButton, this.nextButton].forEach(button => {
+      if (button) {
+        button.disabled = !this.position;
+      }
+    });
+
+    if (this.statusElement) {
+      const current = this.current;
+      this.statusElement.textContent = current
+        ? `${current.pageNumber}ページ ${this.position.index + 1} / ${current.pageText.sentences.length}文`
+        : '';
+    }
+  }
+
+  /**
+   * Dispose read-aloud resources
+   */
+  dispose() {
+    this.reset();
+  }
+}
+
+// Japanese characters (kana, kanji and full-width punctuation)
+PDFReadAloud.JAPANESE_PATTERN = /[\u3000-\u30ff\u3400-\u9fff\uf900-\ufaff\uff00-\uffef]/;
+
+// Closing quotes and brackets that belong to the sentence before them
+PDFReadAloud.CLOSING_MARKS = '」』）)]】〕"\'”’';
+
+// Words before a full stop that does not end an English sentence (and single initials)
+PDFReadAloud.ABBREVIATION_PATTERN = /(?:^|[\s(])(?:Mr|Mrs|Ms|Dr|Prof|Sr|Jr|St|vs|cf|al|Fig|Figs|Eq|No|Vol|pp|e\.g|i\.e|[A-Z])$/;
+
+// Sentences longer than this (characters) are cut at the next comma or space
+PDFReadAloud.MAX_SENTENCE_LENGTH = 200;
+
+// Make PDFReadAloud available globally
+window.PDFReadAloud = PDFReadAloud;
@@ -0,0 +1,552 @@
+// Pink Reader PWA - PDF Search Component
+
+/**
+ * PDFSearch class - Full-text search inside the open PDF
+ * Indexes page text with PDF.js getTextContent() and highlights hits over the canvas
+ */
+class PDFSearch {
+  constructor(containerElement, pdfViewer) {
+    this.container = containerElement;
+    this.pdfViewer = pdfViewer;
+
+    // DOM elements
+    this.searchBar = null;
+    this.searchInput = null;
+    this.countElement = null;
+    this.resultsElement = null;
+    this.prevButton = null;
+    this.nextButton = null;
+    this.closeButton = null;
+    this.toggleButton = null;
+    this.highlightLayer = null;
+
+    // Index state
+    this.pageIndex = [];
+    this.indexPromise = null;
+    this.indexedDocument = null;
+
+    // Search state (searchId tells a running search whether a newer one replaced it)
+    this.searchId = 0;
+    this.query = '';
+    this.matches = [];
+    this.currentMatchIndex = -1;
+
+    // Limits
+    this.maxListedResults = 500;
+    this.snippetRadius = 30;
+
+    this.init();
+  }
+
+  /**
+   * Initialize search component
+   */
+  init() {
+    this.setupDOM();
+    this.setupEventListeners();
+
+    // Reset whenever the document changes
+    this.pdfViewer.on('documentLoaded', () => this.reset());
+    this.pdfViewer.on('documentCleared', () => {
+      this.reset();
+      this.close();
+    });
+
+    // Redraw highlights after every render
+    this.pdfViewer.on('pageRendered', () => this.renderHighlights());
+  }
+
+  /**
+   * Setup DOM elements
+   */
+  setupDOM() {
+    this.searchBar = this.container.querySelector('#pdf-search-bar');
+    this.searchInput = this.container.querySelector('#pdf-search-input');
+    this.countElement = this.container.querySelector('#pdf-search-count');
+    this.resultsElement = this.container.querySelector('#pdf-search-results');
+    this.prevButton = this.container.querySelector('#pdf-search-prev');
+    this.nextButton = this.container.querySelector('#pdf-search-next');
+    this.closeButton = this.container.querySelector('#pdf-search-close');
+    this.toggleButton = this.container.querySelector('#toggle-search');
+    this.highlightLayer = this.container.querySelector('#pdf-search-layer');
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    this.toggleButton?.addEventListener('click', () => {
+      if (this.isOpen()) {
+        this.close();
+      } else {
+        this.open();
+      }
+    });
+
+    this.prevButton?.addEventListener('click', () => this.previousMatch());
+    this.nextButton?.addEventListener('click', () => this.nextMatch());
+    this.closeButton?.addEventListener('click', () => this.close());
+
+    // Search as the user types
+    this.searchInput?.addEventListener('input', Utils.debounce(() => {
+      this.search(this.searchInput.value);
+    }, 300));
+
+    this.searchInput?.addEventListener('keydown', (e) => {
+      switch (e.key) {
+        case 'Enter':
+          e.preventDefault();
+          if (e.shiftKey) {
+            this.previousMatch();
+          } else {
+            this.nextMatch();
+          }
+          break;
+        case 'Escape':
+          e.preventDefault();
+          this.close();
+          break;
+      }
+    });
+
+    // Result list navigation
+    this.resultsElement?.addEventListener('click', (e) => {
+      const item = e.target.closest('.pdf-search-result');
+      if (item) {
+        this.goToMatch(parseInt(item.dataset.index));
+      }
+    });
+
+    // Ctrl+F / Cmd+F opens the search bar while a PDF is shown
+    document.addEventListener('keydown', (e) => {
+      const file = this.pdfViewer.currentFile;
+      if (!file || file.mediaType !== 'pdf') return;
+
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'f') {
+        e.preventDefault();
+        this.open();
+      }
+    });
+  }
+
+  /**
+   * Check if the search bar is visible
+   */
+  isOpen() {
+    return this.searchBar && !this.searchBar.classList.contains('hidden');
+  }
+
+  /**
+   * Show the search bar and focus the input
+   */
+  open() {
+    if (!this.pdfViewer.pdfDocument) return;
+
+    this.searchBar?.classList.remove('hidden');
+    this.toggleButton?.classList.add('active');
+    this.searchInput?.focus();
+    this.searchInput?.select();
+
+    // Start indexing in the background so the first search is fast
+    this.buildIndex();
+  }
+
+  /**
+   * Hide the search bar and remove highlights
+   */
+  close() {
+    this.searchBar?.classList.add('hidden');
+    this.toggleButton?.classList.remove('active');
+    this.clearHighlights();
+  }
+
+  /**
+   * Reset index and results for a new document
+   */
+  reset() {
+    this.pageIndex = [];
+    this.indexPromise = null;
+    this.indexedDocument = null;
+    this.searchId++;
+    this.query = '';
+    this.matches = [];
+    this.currentMatchIndex = -1;
+
+    if (this.searchInput) {
+      this.searchInput.value = '';
+    }
+    this.renderResults();
+    this.updateCount();
+    this.clearHighlights();
+  }
+
+  /**
+   * Normalize text for matching (full/half-width and case insensitive)
+   */
+  normalize(text) {
+    return text.normalize('NFKC').toLowerCase();
+  }
+
+  /**
+   * Build the text index for every page of the current document
+   * @returns {Promise<boolean>} True if the index is complete for the current document
+   */
+  buildIndex() {
+    const pdfDocument = this.pdfViewer.pdfDocument;
+    if (!pdfDocument) return Promise.resolve(false);
+
+    if (this.indexPromise && this.indexedDocument === pdfDocument) {
+      return this.indexPromise;
+    }
+
+    this.indexedDocument = pdfDocument;
+    this.pageIndex = [];
+
+    this.indexPromise = (async () => {
+      try {
+        for (let pageNumber = 1; pageNumber <= pdfDocument.numPages; pageNumber++) {
+          // Stop if the document changed while indexing
+          if (this.indexedDocument !== pdfDocument) return false;
+
+          const page = await pdfDocument.getPage(pageNumber);
+          const textContent = await page.getTextContent();
+          this.pageIndex[pageNumber] = this.indexPage(textContent.items);
+
+          if (this.query) {
+            this.countElement.textContent = `インデックス作成中 ${pageNumber} / ${pdfDocument.numPages}`;
+          }
+        }
+        return this.indexedDocument === pdfDocument;
+      } catch (error) {
+        console.error('Failed to index PDF text:', error);
+        Utils.showToast('テキストの読み込みに失敗しました', 'error');
+        this.indexPromise = null;
+        return false;
+      }
+    })();
+
+    return this.indexPromise;
+  }
+
+  /**
+   * Build a searchable representation of one page
+   * Each normalized character maps back to its text item and offset so hits can be highlighted
+   */
+  indexPage(items) {
+    const textItems = items.filter(item => typeof item.str === 'string');
+    let text = '';
+    let rawText = '';
+    const charMap = [];
+
+    const appendSpace = (itemIndex, offset) => {
+      if (text.length > 0 && !text.endsWith(' ')) {
+        text += ' ';
+        charMap.push({ itemIndex, offset, rawIndex: rawText.length });
+        rawText += ' ';
+      }
+    };
+
+    textItems.forEach((item, itemIndex) => {
+      for (let offset = 0; offset < item.str.length; offset++) {
+        const char = item.str[offset];
+
+        // Collapse runs of whitespace into a single space
+        if (/\s/.test(char)) {
+          appendSpace(itemIndex, offset);
+          continue;
+        }
+
+        const normalized = this.normalize(char);
+        for (const unit of normalized) {
+          text += unit;
+          charMap.push({ itemIndex, offset, rawIndex: rawText.length });
+        }
+        rawText += char;
+      }
+
+      if (item.hasEOL) {
+        appendSpace(itemIndex, item.str.length);
+      }
+    });
+
+    return { items: textItems, text, rawText, charMap };
+  }
+
+  /**
+   * Search the document for a query
+   */
+  async search(query) {
+    const searchId = ++this.searchId;
+    this.query = this.normalize(query).replace(/\s+/g, ' ').trim();
+    this.matches = [];
+    this.currentMatchIndex = -1;
+
+    if (!this.query) {
+      this.renderResults();
+      this.updateCount();
+      this.clearHighlights();
+      return;
+    }
+
+    const searchedQuery = this.query;
+    const indexed = await this.buildIndex();
+
+    // A newer search superseded this one
+    if (!indexed || searchId !== this.searchId) return;
+
+    const matches = [];
+    for (let pageNumber = 1; pageNumber < this.pageIndex.length; pageNumber++) {
+      const entry = this.pageIndex[pageNumber];
+      if (!entry) continue;
+
+      let position = entry.text.indexOf(searchedQuery);
+      while (position !== -1) {
+        const end = position + searchedQuery.length;
+        matches.push({
+          pageNumber,
+          start: position,
+          end,
+          snippet: this.getSnippet(entry, position, end)
+        });
+        position = entry.text.indexOf(searchedQuery, end);
+      }
+    }
+    this.matches = matches;
+
+    this.renderResults();
+
+    if (this.matches.length > 0) {
+      // Start from the first hit at or after the current page
+      const firstIndex = this.matches.findIndex(match => match.pageNumber >= this.pdfViewer.currentPage);
+      this.goToMatch(firstIndex === -1 ? 0 : firstIndex);
+    } else {
+      this.updateCount();
+      this.clearHighlights();
+    }
+  }
+
+  /**
+   * Get surrounding text for a match
+   */
+  getSnippet(entry, start, end) {
+    const rawStart = entry.charMap[start].rawIndex;
+    const rawEnd = entry.charMap[end - 1].rawIndex + 1;
+    const before = entry.rawText.slice(Math.max(0, rawStart - this.snippetRadius), rawStart);
+    const after = entry.rawText.slice(rawEnd, rawEnd + this.snippetRadius);
+
+    return {
+      before: (rawStart > this.snippetRadius ? '…' : '') + before,
+      match: entry.rawText.slice(rawStart, rawEnd),
+      after: after + (rawEnd + this.snippetRadius < entry.rawText.length ? '…' : '')
+    };
+  }
+
+  /**
+   * Render the result list
+   */
+  renderResults() {
+    if (!this.resultsElement) return;
+
+    this.resultsElement.innerHTML = '';
+    this.resultsElement.classList.toggle('hidden', this.matches.length === 0);
+
+    this.matches.slice(0, this.maxListedResults).forEach((match, index) => {
+      const item = document.createElement('button');
+      item.className = 'pdf-search-result';
+      item.dataset.index = index;
+      item.innerHTML = `
+        <span class="pdf-search-result-page">p.${match.pageNumber}</span>
+        <span class="pdf-search-result-text">${Utils.escapeHtml(match.snippet.before)}<mark>${Utils.escapeHtml(match.snippet.match)}</mark>${Utils.escapeHtml(match.snippet.after)}</span>
+      `;
+      this.resultsElement.appendChild(item);
+    });
+
+    // Hits beyond the list are still reached with the previous and next buttons
+    const unlisted = this.matches.length - this.maxListedResults;
+    if (unlisted > 0) {
+      const notice = document.createElement('p');
+      notice.className = 'pdf-search-more';
+      notice.textContent = `ほか${unlisted}件は一覧に表示していません（▲▼で移動できます）`;
+      this.resultsElement.appendChild(notice);
+    }
+  }
+
+  /**
+   * Update the hit counter
+   */
+  updateCount() {
+    if (!this.countElement) return;
+
+    if (!this.query) {
+      this.countElement.textContent = '';
+    } else if (this.matches.length === 0) {
+      this.countElement.textContent = '見つかりません';
+    } else {
+      this.countElement.textContent = `${this.currentMatchIndex + 1} / ${this.matches.length}`;
+    }
+
+    const hasMatches = this.matches.length > 0;
+    if (this.prevButton) this.prevButton.disabled = !hasMatches;
+    if (this.nextButton) this.nextButton.disabled = !hasMatches;
+  }
+
+  /**
+   * Navigate to a match
+   */
+  async goToMatch(index) {
+    if (this.matches.length === 0) return;
+
+    this.currentMatchIndex = (index + this.matches.length) % this.matches.length;
+    const match = this.matches[this.currentMatchIndex];
+
+    this.updateCount();
+
+    // Mark the active result in the list
+    this.resultsElement?.querySelectorAll('.pdf-search-result').forEach(item => {
+      const isActive = parseInt(item.dataset.index) === this.currentMatchIndex;
+      item.classList.toggle('active', isActive);
+      if (isActive) {
+        item.scrollIntoView({ block: 'nearest' });
+      }
+    });
+
+    await this.pdfViewer.goToPage(match.pageNumber);
+    this.renderHighlights();
+  }
+
+  /**
+   * Go to next match
+   */
+  nextMatch() {
+    this.goToMatch(this.currentMatchIndex + 1);
+  }
+
+  /**
+   * Go to previous match
+   */
+  previousMatch() {
+    this.goToMatch(this.currentMatchIndex - 1);
+  }
+
+  /**
+   * Remove all highlight rectangles
+   */
+  clearHighlights() {
+    if (this.highlightLayer) {
+      this.highlightLayer.innerHTML = '';
+    }
+  }
+
+  /**
+   * Draw highlight rectangles for hits on the visible pages
+   */
+  renderHighlights() {
+    this.clearHighlights();
+    if (!this.highlightLayer || !this.isOpen() || this.matches.length === 0) return;
+
+    const currentMatch = this.matches[this.currentMatchIndex];
+
+    this.pdfViewer.pageLayouts.forEach(layout => {
+      const entry = this.pageIndex[layout.pageNumber];
+      if (!entry) return;
+
+      this.matches
+        .filter(match => match.pageNumber === layout.pageNumber)
+        .forEach(match => {
+          PDFSearch.getMatchRects(entry, match, layout.viewport).forEach(rect => {
+            const highlight = document.createElement('div');
+            highlight.className = 'pdf-search-highlight';
+            if (match === currentMatch) {
+              highlight.classList.add('current');
+            }
+            highlight.style.left = `${layout.x + rect.left}px`;
+            highlight.style.top = `${layout.y + rect.top}px`;
+            highlight.style.width = `${rect.width}px`;
+            highlight.style.height = `${rect.height}px`;
+            this.highlightLayer.appendChild(highlight);
+          });
+        });
+    });
+  }
+
+  /**
+   * Get viewport rectangles covering a match (one per text item it spans)
+   * @param {Object} entry - Page text {items, charMap} whose charMap maps characters to text items
+   * @param {Object} match - Character range {start, end} of the page text
+   * @param {PageViewport} viewport - Viewport of the page
+   * @returns {Object[]} Rectangles {left, top, width, height}
+   */
+  static getMatchRects(entry, match, viewport) {
+    const spans = new Map();
+
+    for (let i = match.start; i < match.end; i++) {
+      const { itemIndex, offset } = entry.charMap[i];
+      const span = spans.get(itemIndex);
+      if (span) {
+        span.start = Math.min(span.start, offset);
+        span.end = Math.max(span.end, offset + 1);
+      } else {
+        spans.set(itemIndex, { start: offset, end: offset + 1 });
+      }
+    }
+
+    const rects = [];
+    spans.forEach((span, itemIndex) => {
+      const item = entry.items[itemIndex];
+      const end = Math.min(span.end, item.str.length);
+      if (span.start >= end) return;
+      rects.push(PDFSearch.getTextRect(item, span.start, end, viewport));
+    });
+    return rects;
+  }
+
+  /**
+   * Get the viewport rectangle of a character range in a text item
+   * Works in the item's own baseline direction so rotated pages and text stay aligned
+   */
+  static getTextRect(item, startOffset, endOffset, viewport) {
+    const [a, b, c, d, e, f] = item.transform;
+    const fontHeight = Math.hypot(c, d) || 1;
+    const baselineLength = Math.hypot(a, b) || 1;
+    const direction = { x: a / baselineLength, y: b / baselineLength };
+    const normal = { x: c / fontHeight, y: d / fontHeight };
+
+    // Characters are assumed to have equal advance widths within an item
+    const length = item.str.length || 1;
+    const x1 = item.width * (startOffset / length);
+    const x2 = item.width * (endOffset / length);
+
+    // Cover the em box from the descent to the ascent
+    const descent = -0.2 * fontHeight;
+    const ascent = 0.8 * fontHeight;
+
+    const corners = [
+      [x1, descent], [x2, descent], [x2, ascent], [x1, ascent]
+    ].map(([along, across]) => viewport.convertToViewportPoint(
+      e + direction.x * along + normal.x * across,
+      f + direction.y * along + normal.y * across
+    ));
+
+    const xs = corners.map(point => point[0]);
+    const ys = corners.map(point => point[1]);
+    const left = Math.min(...xs);
+    const top = Math.min(...ys);
+
+    return {
+      left,
+      top,
+      width: Math.max(...xs) - left,
+      height: Math.max(...ys) - top
+    };
+  }
+
+  /**
+   * Dispose search resources
+   */
+  dispose() {
+    this.reset();
+  }
+}
+
+// Make PDFSearch available globally
+window.PDFSearch = PDFSearch;
@@ -0,0 +1,173 @@
+// Pink Reader PWA - PDF Text Layer Component
+
+/**
+ * PDFTextLayer class - Selectable text over the rendered PDF canvas
+ * Builds PDF.js text layers from getTextContent() so text can be selected and copied
+ */
+class PDFTextLayer {
+  constructor(containerElement, pdfViewer) {
+    this.container = containerElement;
+    this.pdfViewer = pdfViewer;
+
+    // DOM elements
+    this.layerElement = null;
+
+    // State
+    this.textContentCache = new Map();
+    this.renderTasks = [];
+
+    // Page boxes by layout, so pages that stay on screen keep their text (and selection)
+    this.pageBoxes = new Map();
+
+    this.init();
+  }
+
+  /**
+   * Initialize text layer
+   */
+  init() {
+    this.setupDOM();
+    this.setupEventListeners();
+
+    this.pdfViewer.on('documentLoaded', () => this.reset());
+    this.pdfViewer.on('documentCleared', () => this.reset());
+    this.pdfViewer.on('pageRendered', (layouts) => this.render(layouts));
+  }
+
+  /**
+   * Setup DOM elements
+   */
+  setupDOM() {
+    this.layerElement = this.container.querySelector('#pdf-text-layer');
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    // Keep the selection highlight while dragging past the end of a line
+    this.layerElement?.addEventListener('mousedown', (e) => {
+      if (PDFTextLayer.isTextTarget(e.target)) {
+        this.layerElement.classList.add('selecting');
+      }
+    });
+
+    document.addEventListener('mouseup', () => {
+      this.layerElement?.classList.remove('selecting');
+    });
+  }
+
+  /**
+   * Check if an event target is text in a text layer
+   * @param {EventTarget} target - Event target
+   * @returns {boolean} True if the target is a text span
+   */
+  static isTextTarget(target) {
+    return !!(target && target.closest && target.closest('.textLayer span'));
+  }
+
+  /**
+   * Get (cached) text content for a page
+   */
+  async getTextContent(pageNumber) {
+    if (!this.textContentCache.has(pageNumber)) {
+      const page = await this.pdfViewer.pdfDocument.getPage(pageNumber);
+      this.textContentCache.set(pageNumber, await page.getTextContent());
+    }
+    return this.textContentCache.get(pageNumber);
+  }
+
+  /**
+   * Cancel any in-flight text layer renders
+   */
+  cancelRenderTasks() {
+    this.renderTasks.forEach(task => task.cancel());
+    this.renderTasks = [];
+  }
+
+  /**
+   * Render text layers for the visible pages
+   * Layouts that were already rendered (continuous scroll keeps them) are left alone
+   */
+  async render(layouts) {
+    if (!this.layerElement || typeof pdfjsLib === 'undefined') return;
+
+    // Remove pages that are no longer shown or were laid out again
+    this.pageBoxes.forEach((pageBox, layout) => {
+      if (!layouts.includes(layout)) {
+        pageBox?.remove();
+        this.pageBoxes.delete(layout);
+      }
+    });
+    if (this.pageBoxes.size === 0) {
+      this.cancelRenderTasks();
+    }
+
+    const pdfDocument = this.pdfViewer.pdfDocument;
+
+    try {
+      await Promise.all(layouts.filter(layout => !this.pageBoxes.has(layout)).map(async (layout) => {
+        // Reserve the layout so overlapping renders do not build it twice
+        this.pageBoxes.set(layout, null);
+        const textContent = await this.getTextContent(layout.pageNumber);
+
+        // Stop if the document or page changed while loading text
+        if (this.pdfViewer.pdfDocument !== pdfDocument || !this.pdfViewer.pageLayouts.includes(layout)) {
+          this.pageBoxes.delete(layout);
+          return;
+        }
+
+        // Position a page box matching the page's place on the canvas
+        const pageBox = document.createElement('div');
+        pageBox.className = 'pdf-text-page';
+        pageBox.style.left = `${layout.x}px`;
+        pageBox.style.top = `${layout.y}px`;
+        pageBox.style.width = `${layout.width}px`;
+        pageBox.style.height = `${layout.height}px`;
+        pageBox.style.setProperty('--scale-factor', layout.viewport.scale);
+
+        const textLayer = document.createElement('div');
+        textLayer.className = 'textLayer';
+        pageBox.appendChild(textLayer);
+        this.layerElement.appendChild(pageBox);
+        this.pageBoxes.set(layout, pageBox);
+
+        const task = pdfjsLib.renderTextLayer({
+          textContentSource: textContent,
+          container: textLayer,
+          viewport: layout.viewport,
+          textDivs: []
+        });
+        this.renderTasks.push(task);
+        await task.promise;
+        this.renderTasks = this.renderTasks.filter(t => t !== task);
+      }));
+    } catch (error) {
+      if (error.name !== 'AbortException') {
+        console.error('Failed to render text layer:', error);
+      }
+    }
+  }
+
+  /**
+   * Reset cached text for a new document
+   */
+  reset() {
+    this.cancelRenderTasks();
+    this.textContentCache.clear();
+    this.pageBoxes.clear();
+    if (this.layerElement) {
+      this.layerElement.innerHTML = '';
+    }
+  }
+
+  /**
+   * Dispose text layer resources
+   */
+  dispose() {
+    this.reset();
+  }
+}
+
+// Make PDFTextLayer available globally
+window.PDFTextLayer = PDFTextLayer;
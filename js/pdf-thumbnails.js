@@ -0,0 +1,279 @@
+// Pink Reader PWA - PDF Page Thumbnails Component
+
+/**
+ * PDFThumbnails class - Scrollable strip of page thumbnails for the open PDF
+ * Thumbnails render lazily as they scroll into view and are cached per file
+ */
+class PDFThumbnails {
+  constructor(containerElement, pdfViewer) {
+    this.container = containerElement;
+    this.pdfViewer = pdfViewer;
+
+    // DOM elements
+    this.stripElement = null;
+    this.scrollElement = null;
+
+    // State
+    this.currentFileId = null;
+    this.pdfDocument = null;
+    this.items = [];
+    this.observer = null;
+    this.renderQueue = [];
+    this.isProcessingQueue = false;
+
+    // Cache: fileId -> Map("pageNumber:rotation" -> data URL)
+    this.cache = new Map();
+    this.maxCachedFiles = 5;
+
+    // Thumbnail bounds
+    this.maxWidth = 120;
+    this.maxHeight = 170;
+
+    this.init();
+  }
+
+  /**
+   * Initialize thumbnail strip
+   */
+  init() {
+    this.setupDOM();
+
+    this.pdfViewer.on('documentLoaded', ({ pdfDocument, file }) => this.load(pdfDocument, file));
+    this.pdfViewer.on('documentCleared', () => this.clear());
+    this.pdfViewer.on('pageRendered', () => this.markCurrentPages());
+    this.pdfViewer.on('pageChanged', () => this.markCurrentPages());
+    this.pdfViewer.on('rotationChanged', () => {
+      if (this.pdfDocument) {
+        this.load(this.pdfDocument, this.pdfViewer.currentFile);
+      }
+    });
+  }
+
+  /**
+   * Setup DOM elements
+   */
+  setupDOM() {
+    this.stripElement = this.container.querySelector('#pdf-thumbnails');
+    this.scrollElement = this.stripElement?.closest('.pdf-panel-content') || null;
+
+    this.stripElement?.addEventListener('click', (e) => {
+      const item = e.target.closest('.pdf-thumbnail');
+      if (item) {
+        this.pdfViewer.goToPage(parseInt(item.dataset.page));
+      }
+    });
+  }
+
+  /**
+   * Get the thumbnail cache for a file (most recently used files are kept)
+   */
+  getFileCache(fileId) {
+    let fileCache = this.cache.get(fileId);
+    if (fileCache) {
+      this.cache.delete(fileId);
+    } else {
+      fileCache = new Map();
+    }
+    this.cache.set(fileId, fileCache);
+
+    // Evict the least recently used file
+    while (this.cache.size > this.maxCachedFiles) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    return fileCache;
+  }
+
+  /**
+   * Get the cache key of a page thumbnail at its current rotation
+   */
+  getCacheKey(pageNumber) {
+    const pageRotation = this.pdfViewer.pageRotations[pageNumber] || 0;
+    return `${pageNumber}:${Utils.normalizeRotation(this.pdfViewer.rotation + pageRotation)}`;
+  }
+
+  /**
+   * Build placeholders for every page of a document
+   */
+  async load(pdfDocument, file) {
+    this.clear();
+    if (!this.stripElement) return;
+
+    this.pdfDocument = pdfDocument;
+    this.currentFileId = file.id;
+    const fileCache = this.getFileCache(file.id);
+
+    // Size placeholders from the first page so the strip has its final height
+    let placeholderSize = { width: this.maxWidth, height: this.maxHeight };
+    try {
+      const firstPage = await pdfDocument.getPage(1);
+      const viewport = firstPage.getViewport({ scale: 1.0, rotation: this.pdfViewer.getPageRotation(firstPage) });
+      placeholderSize = Utils.calculateThumbnailSize(viewport.width, viewport.height, this.maxWidth, this.maxHeight);
+    } catch (error) {
+      console.warn('Failed to measure first page:', error);
+    }
+
+    if (this.pdfDocument !== pdfDocument) return;
+
+    this.observer = new IntersectionObserver((entries) => this.handleIntersection(entries), {
+      root: this.scrollElement,
+      rootMargin: '200px 0px'
+    });
+
+    const fragment = document.createDocumentFragment();
+    for (let pageNumber = 1; pageNumber <= pdfDocument.numPages; pageNumber++) {
+      const item = document.createElement('button');
+      item.className = 'pdf-thumbnail';
+      item.dataset.page = pageNumber;
+      item.title = `${pageNumber}ページ`;
+      item.innerHTML = `
+        <div class="pdf-thumbnail-image" style="width: ${placeholderSize.width}px; height: ${placeholderSize.height}px;"></div>
+        <span class="pdf-thumbnail-label">${pageNumber}</span>
+      `;
+
+      const cached = fileCache.get(this.getCacheKey(pageNumber));
+      if (cached) {
+        this.setThumbnailImage(item, cached);
+      } else {
+        this.observer.observe(item);
+      }
+
+      this.items[pageNumber] = item;
+      fragment.appendChild(item);
+    }
+    this.stripElement.appendChild(fragment);
+
+    this.markCurrentPages();
+  }
+
+  /**
+   * Queue thumbnails that scrolled into view
+   */
+  handleIntersection(entries) {
+    entries.forEach(entry => {
+      const pageNumber = parseInt(entry.target.dataset.page);
+      if (entry.isIntersecting) {
+        if (!this.renderQueue.includes(pageNumber)) {
+          this.renderQueue.push(pageNumber);
+        }
+      } else {
+        // Skip pages that scrolled away before their turn
+        this.renderQueue = this.renderQueue.filter(page => page !== pageNumber);
+      }
+    });
+    this.processQueue();
+  }
+
+  /**
+   * Render queued thumbnails one at a time
+   */
+  async processQueue() {
+    if (this.isProcessingQueue) return;
+    this.isProcessingQueue = true;
+
+    try {
+      while (this.renderQueue.length > 0) {
+        const pdfDocument = this.pdfDocument;
+        const fileId = this.currentFileId;
+        const pageNumber = this.renderQueue.shift();
+        const cacheKey = this.getCacheKey(pageNumber);
+
+        const dataUrl = await this.renderThumbnail(pdfDocument, pageNumber);
+
+        // Drop results for a document that was closed meanwhile
+        if (!dataUrl || this.pdfDocument !== pdfDocument) continue;
+
+        this.cache.get(fileId)?.set(cacheKey, dataUrl);
+        const item = this.items[pageNumber];
+        if (item) {
+          this.setThumbnailImage(item, dataUrl);
+          this.observer?.unobserve(item);
+        }
+      }
+    } finally {
+      this.isProcessingQueue = false;
+    }
+  }
+
+  /**
+   * Render one page to a thumbnail data URL
+   */
+  async renderThumbnail(pdfDocument, pageNumber) {
+    try {
+      const page = await pdfDocument.getPage(pageNumber);
+      const rotation = this.pdfViewer.getPageRotation(page);
+      const viewport = page.getViewport({ scale: 1.0, rotation });
+      const { width, height } = Utils.calculateThumbnailSize(viewport.width, viewport.height, this.maxWidth, this.maxHeight);
+
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+
+      await page.render({
+        canvasContext: canvas.getContext('2d'),
+        viewport: page.getViewport({ scale: width / viewport.width, rotation })
+      }).promise;
+
+      return canvas.toDataURL('image/jpeg', 0.7);
+    } catch (error) {
+      console.warn(`Failed to render thumbnail for page ${pageNumber}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Replace a placeholder with a rendered thumbnail
+   */
+  setThumbnailImage(item, dataUrl) {
+    const placeholder = item.querySelector('.pdf-thumbnail-image');
+    if (!placeholder) return;
+
+    const image = document.createElement('img');
+    image.className = 'pdf-thumbnail-image';
+    image.src = dataUrl;
+    image.alt = item.title;
+    placeholder.replaceWith(image);
+  }
+
+  /**
+   * Mark the thumbnails of the current page (or spread)
+   */
+  markCurrentPages() {
+    const visiblePages = this.pdfDocument ? this.pdfViewer.getSpreadPages(this.pdfViewer.currentPage) : [];
+
+    this.items.forEach((item, pageNumber) => {
+      if (!item) return;
+      item.classList.toggle('current', visiblePages.includes(pageNumber));
+    });
+
+    const firstItem = this.items[visiblePages[0]];
+    if (firstItem && this.scrollElement && !this.scrollElement.classList.contains('hidden')) {
+      firstItem.scrollIntoView({ block: 'nearest' });
+    }
+  }
+
+  /**
+   * Clear the strip (the per-file cache is kept)
+   */
+  clear() {
+    this.observer?.disconnect();
+    this.observer = null;
+    this.renderQueue = [];
+    this.items = [];
+    this.pdfDocument = null;
+    this.currentFileId = null;
+    if (this.stripElement) {
+      this.stripElement.innerHTML = '';
+    }
+  }
+
+  /**
+   * Dispose thumbnail resources
+   */
+  dispose() {
+    this.clear();
+    this.cache.clear();
+  }
+}
+
+// Make PDFThumbnails available globally
+window.PDFThumbnails = PDFThumbnails;
@@ -0,0 +1,222 @@
+// Pink Reader PWA - PDF Tile Layer Component
+
+/**
+ * PDFTileLayer class - Sharp tiles over pages drawn as low-resolution previews
+ * When a page is too large to render in one canvas at the screen's pixel ratio, the
+ * viewer draws a preview and this layer renders only the visible part, tile by tile
+ */
+class PDFTileLayer {
+  constructor(containerElement, pdfViewer) {
+    this.container = containerElement;
+    this.pdfViewer = pdfViewer;
+
+    // DOM elements
+    this.layerElement = null;
+
+    // State
+    this.layouts = [];
+    this.tiles = new Map();
+    this.generation = 0;
+
+    this.init();
+  }
+
+  /**
+   * Initialize tile layer
+   */
+  init() {
+    this.setupDOM();
+    this.setupEventListeners();
+
+    this.pdfViewer.on('documentCleared', () => this.reset());
+    this.pdfViewer.on('pageRendered', (layouts) => this.render(layouts));
+    this.pdfViewer.on('viewportChanged', () => this.update());
+  }
+
+  /**
+   * Setup DOM elements
+   */
+  setupDOM() {
+    this.layerElement = this.container.querySelector('#pdf-tile-layer');
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    // Render tiles for the newly visible area once scrolling settles
+    this.pdfViewer.scrollContainer?.addEventListener('scroll', Utils.debounce(() => this.update(), 150));
+  }
+
+  /**
+   * Get the device pixels per CSS pixel tiles are rendered at
+   */
+  static getPixelRatio() {
+    return window.devicePixelRatio || 1;
+  }
+
+  /**
+   * Get the tile key for a page, column and row
+   */
+  static getTileKey(layout, column, row) {
+    return `${layout.pageNumber}:${column}:${row}`;
+  }
+
+  /**
+   * Remove all tiles
+   */
+  reset() {
+    this.generation++;
+    this.layouts = [];
+    Array.from(this.tiles.keys()).forEach(key => this.removeTile(key));
+  }
+
+  /**
+   * Take the layouts of a new render and drop tiles of pages that were laid out again
+   */
+  render(layouts) {
+    if (!this.layerElement) return;
+
+    this.layouts = layouts;
+    this.tiles.forEach((tile, key) => {
+      if (!layouts.includes(tile.layout)) {
+        this.removeTile(key);
+      }
+    });
+
+    this.update();
+  }
+
+  /**
+   * Get the visible part of the page element, in its own coordinates
+   * @returns {Object|null} Rectangle {left, top, right, bottom}, or null if nothing is visible
+   */
+  getVisibleRect() {
+    const containerRect = this.pdfViewer.scrollContainer.getBoundingClientRect();
+    const pageRect = this.pdfViewer.pageElement.getBoundingClientRect();
+    const margin = PDFTileLayer.TILE_SIZE / 2;
+
+    const rect = {
+      left: Math.max(containerRect.left, pageRect.left) - pageRect.left - margin,
+      top: Math.max(containerRect.top, pageRect.top) - pageRect.top - margin,
+      right: Math.min(containerRect.right, pageRect.right) - pageRect.left + margin,
+      bottom: Math.min(containerRect.bottom, pageRect.bottom) - pageRect.top + margin
+    };
+    return rect.right > rect.left && rect.bottom > rect.top ? rect : null;
+  }
+
+  /**
+   * Render the missing tiles of the visible area and drop the ones scrolled away
+   */
+  async update() {
+    if (!this.layerElement || !this.pdfViewer.pdfDocument) return;
+
+    const generation = ++this.generation;
+    const pixelRatio = PDFTileLayer.getPixelRatio();
+    const visibleRect = this.getVisibleRect();
+    const tileSize = PDFTileLayer.TILE_SIZE;
+    const wanted = [];
+
+    // Only pages whose canvas is less sharp than the screen need tiles
+    this.layouts.filter(layout => layout.viewport && layout.outputScale < pixelRatio).forEach(layout => {
+      if (!visibleRect) return;
+
+      const left = Math.max(0, visibleRect.left - layout.x);
+      const top = Math.max(0, visibleRect.top - layout.y);
+      const right = Math.min(layout.width, visibleRect.right - layout.x);
+      const bottom = Math.min(layout.height, visibleRect.bottom - layout.y);
+      if (right <= left || bottom <= top) return;
+
+      for (let row = Math.floor(top / tileSize); row * tileSize < bottom; row++) {
+        for (let column = Math.floor(left / tileSize); column * tileSize < right; column++) {
+          wanted.push({ key: PDFTileLayer.getTileKey(layout, column, row), layout, column, row });
+        }
+      }
+    });
+
+    const wantedKeys = new Set(wanted.map(tile => tile.key));
+    Array.from(this.tiles.keys())
+      .filter(key => !wantedKeys.has(key))
+      .forEach(key => this.removeTile(key));
+
+    // Render one tile at a time so the page stays responsive on slow devices
+    const pdfDocument = this.pdfViewer.pdfDocument;
+    for (const tile of wanted.filter(tile => !this.tiles.has(tile.key))) {
+      if (generation !== this.generation || this.pdfViewer.pdfDocument !== pdfDocument) return;
+      await this.renderTile(pdfDocument, tile, pixelRatio);
+    }
+  }
+
+  /**
+   * Render one tile of a page
+   */
+  async renderTile(pdfDocument, { key, layout, column, row }, pixelRatio) {
+    const tileSize = PDFTileLayer.TILE_SIZE;
+    const x = column * tileSize;
+    const y = row * tileSize;
+    const width = Math.min(tileSize, layout.width - x);
+    const height = Math.min(tileSize, layout.height - y);
+
+    const canvas = document.createElement('canvas');
+    canvas.className = 'pdf-tile';
+    canvas.width = Math.ceil(width * pixelRatio);
+    canvas.height = Math.ceil(height * pixelRatio);
+    canvas.style.left = `${layout.x + x}px`;
+    canvas.style.top = `${layout.y + y}px`;
+    canvas.style.width = `${width}px`;
+    canvas.style.height = `${height}px`;
+
+    const tile = { canvas, layout, task: null };
+    this.tiles.set(key, tile);
+
+    try {
+      const page = await pdfDocument.getPage(layout.pageNumber);
+      if (this.tiles.get(key) !== tile) return;
+
+      // Shift the page so this tile's corner lands on the canvas origin
+      tile.task = page.render({
+        canvasContext: canvas.getContext('2d'),
+        viewport: layout.viewport,
+        transform: [pixelRatio, 0, 0, pixelRatio, -x * pixelRatio, -y * pixelRatio],
+        annotationMode: pdfjsLib.AnnotationMode.ENABLE_FORMS
+      });
+      await tile.task.promise;
+
+      // Shown only once complete, so the preview stays visible while rendering
+      if (this.tiles.get(key) === tile) {
+        this.layerElement.appendChild(canvas);
+      }
+    } catch (error) {
+      if (error.name !== 'RenderingCancelledException') {
+        console.error(`Failed to render tile ${key}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Stop rendering a tile and free its canvas
+   */
+  removeTile(key) {
+    const tile = this.tiles.get(key);
+    if (!tile) return;
+
+    tile.task?.cancel();
+    tile.canvas.remove();
+    tile.canvas.width = 0;
+    tile.canvas.height = 0;
+    this.tiles.delete(key);
+  }
+
+  /**
+   * Dispose tile layer resources
+   */
+  dispose() {
+    this.reset();
+  }
+}
+
+// Tile edge in CSS pixels
+PDFTileLayer.TILE_SIZE = 512;
+
+// Make PDFTileLayer available globally
+window.PDFTileLayer = PDFTileLayer;
@@ -15,28 +15,108 @@ class PDFViewer {
     this.totalPages = 1;
     this.scale = 1.0;
     this.rotation = 0;
+    this.pageRotations = {};
+    this.readingDirection = 'ltr';
+    
+    // Logical page labels ('i', 'ii', '1', ...) by page index, or null when they are plain numbers
+    this.pageLabels = null;
+    
+    // Margin trimming: 'off', 'page' (detected per page), 'document' (one box for all pages)
+    // or 'manual' (cropMargins, fractions of the page)
+    this.cropMode = 'off';
+    this.cropMargins = null;
+    
+    // Page the page slider was dragged from (its jump is recorded on release)
+    this.sliderStartPage = null;
+    
+    // Zoom: fit mode ('page', 'width', 'actual', 'custom' or null for the layout's default)
+    // and the custom zoom relative to actual size (1.0 = 100%)
+    this.fitMode = null;
+    this.zoom = 1.0;
+    this.minZoom = 0.25;
+    this.maxZoom = 16.0;
     
     // DOM elements
+    this.scrollContainer = null;
+    this.pageElement = null;
     this.canvas = null;
     this.context = null;
     this.pageNumElement = null;
     this.pageCountElement = null;
+    this.pageLabelElement = null;
+    this.pageInput = null;
     this.pageSlider = null;
     this.prevButton = null;
     this.nextButton = null;
     this.toggleLayoutButton = null;
+    this.toggleCoverButton = null;
+    this.toggleDirectionButton = null;
+    this.cropButton = null;
+    this.sidePanel = null;
+    this.togglePanelButton = null;
+    this.rotateLeftButton = null;
+    this.rotateRightButton = null;
+    this.zoomModeSelect = null;
+    this.zoomLevelElement = null;
+    this.zoomInButton = null;
+    this.zoomOutButton = null;
+    this.exportPagesButton = null;
     
     // State
     this.isRendering = false;
+    this.layoutMode = 'single';
     this.isTwoPageMode = false;
+    this.showCoverPage = true;
     this.currentFile = null;
-    this.renderTask = null;
+    
+    // Presentation mode, and the reader's layout and zoom to put back when it ends
+    this.isPresenting = false;
+    this.presentationRestore = null;
+    this.renderTasks = [];
+    this.renderPending = false;
+    this.renderPromise = null;
+    this.pageLayouts = [];
+    this.annotationLayer = null;
+    this.colorMode = null;
+    this.passwordPrompt = null;
+    this.pageExporter = null;
+    this.marginCrop = null;
+    
+    // Rendered spreads (least recently used first) and background pre-rendering of neighbours
+    this.renderCache = new Map();
+    this.prerenderJobs = new Map();
+    this.prerenderGeneration = 0;
+    
+    // Continuous scroll mode
+    this.pageSizes = [];
+    this.scrollLayouts = [];
+    this.scrollPages = new Map();
+    this.canvasPool = [];
+    this.maxPooledCanvases = 6;
+    this.scrollPageGap = 16;
+    this.isRenderingScroll = false;
+    this.scrollRenderPending = false;
+    this.programmaticScrollPage = null;
+    this.scrollFrame = null;
     
     // Gesture handling
     this.isDragging = false;
     this.lastPanPoint = { x: 0, y: 0 };
     this.panOffset = { x: 0, y: 0 };
     this.zoomCenter = { x: 0, y: 0 };
+    this.swipeStart = null;
+    
+    // Event listeners (for overlay components such as search)
+    this.eventListeners = {
+      'documentLoaded': [],
+      'documentCleared': [],
+      'pageRendered': [],
+      'pageChanged': [],
+      'pageJump': [],
+      'presentationChanged': [],
+      'rotationChanged': [],
+      'viewportChanged': []
+    };
     
     this.init();
   }
@@ -49,6 +129,18 @@ class PDFViewer {
     this.setupEventListeners();
     this.setupPDFjs();
     
+    // Annotations are drawn in PDF user space over each rendered page
+    this.annotationLayer = new AnnotationLayer(this.container, this.mediaManager, {
+      isActive: () => !!this.currentFile && this.currentFile.mediaType === 'pdf'
+    });
+    this.colorMode = new ReadingColorMode(this.container, this.mediaManager, {
+      isActive: () => this.mediaManager.currentFile?.mediaType === 'pdf'
+    });
+    
+    this.passwordPrompt = new PDFPasswordPrompt(document.getElementById('password-dialog'));
+    this.pageExporter = new PDFPageExporter(document.getElementById('export-dialog'), this);
+    this.marginCrop = new PDFMarginCrop(document.getElementById('crop-dialog'), this);
+    
     // Listen for media manager events
     this.mediaManager.on('currentFileChanged', (file) => {
       if (file && file.mediaType === 'pdf') {
@@ -62,9 +154,16 @@ class PDFViewer {
     });
     
     this.mediaManager.on('settingsChanged', (settings) => {
-      if (settings.isTwoPageMode !== this.isTwoPageMode) {
-        this.isTwoPageMode = settings.isTwoPageMode;
-        this.updateLayout();
+      // A presentation keeps its single-page layout and takes the new one when it ends
+      const view = this.isPresenting ? this.presentationRestore : this;
+      if (settings.layoutMode !== view.layoutMode ||
+          settings.showCoverPage !== this.showCoverPage) {
+        view.layoutMode = settings.layoutMode;
+        view.isTwoPageMode = settings.layoutMode === 'double';
+        this.showCoverPage = settings.showCoverPage;
+        if (!this.isPresenting) {
+          this.updateLayout();
+        }
       }
     });
   }
@@ -73,47 +172,145 @@ class PDFViewer {
    * Setup DOM elements
    */
   setupDOM() {
+    this.scrollContainer = this.container.querySelector('.pdf-container');
+    this.pageElement = this.container.querySelector('#pdf-page');
     this.canvas = this.container.querySelector('#pdf-canvas');
     this.context = this.canvas.getContext('2d');
     
     this.pageNumElement = this.container.querySelector('#page-num');
     this.pageCountElement = this.container.querySelector('#page-count');
+    this.pageLabelElement = this.container.querySelector('#page-label');
+    this.pageInput = this.container.querySelector('#page-input');
     this.pageSlider = this.container.querySelector('#page-slider');
     
     this.prevButton = this.container.querySelector('#prev-page');
     this.nextButton = this.container.querySelector('#next-page');
     this.toggleLayoutButton = this.container.querySelector('#toggle-layout');
+    this.toggleCoverButton = this.container.querySelector('#toggle-cover');
+    this.toggleDirectionButton = this.container.querySelector('#toggle-direction');
+    this.cropButton = this.container.querySelector('#toggle-crop');
+    
+    this.sidePanel = this.container.querySelector('#pdf-side-panel');
+    this.togglePanelButton = this.container.querySelector('#toggle-panel');
+    
+    this.rotateLeftButton = this.container.querySelector('#rotate-left');
+    this.rotateRightButton = this.container.querySelector('#rotate-right');
+    
+    this.zoomModeSelect = this.container.querySelector('#pdf-zoom-mode');
+    this.zoomLevelElement = this.container.querySelector('#pdf-zoom-level');
+    this.zoomInButton = this.container.querySelector('#pdf-zoom-in');
+    this.zoomOutButton = this.container.querySelector('#pdf-zoom-out');
+    
+    this.exportPagesButton = this.container.querySelector('#export-pages');
   }
 
   /**
    * Setup event listeners
    */
   setupEventListeners() {
-    // Page navigation
-    this.prevButton?.addEventListener('click', () => this.previousPage());
-    this.nextButton?.addEventListener('click', () => this.nextPage());
+    // Page navigation (the buttons point left and right, so they swap meaning in right-to-left books)
+    this.prevButton?.addEventListener('click', () => this.pageLeft());
+    this.nextButton?.addEventListener('click', () => this.pageRight());
     
     // Page slider
     this.pageSlider?.addEventListener('input', (e) => {
-      this.goToPage(parseInt(e.target.value));
+      if (this.sliderStartPage === null) {
+        this.sliderStartPage = this.currentPage;
+      }
+      this.goToPage(parseInt(e.target.value), { record: false });
+    });
+    this.pageSlider?.addEventListener('change', () => {
+      if (this.sliderStartPage !== null) {
+        this.recordJump(this.sliderStartPage, this.currentPage);
+        this.sliderStartPage = null;
+      }
+    });
+    
+    // Go to a page by number or label
+    this.pageInput?.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.goToPageInput(this.pageInput.value);
+      } else if (e.key === 'Escape') {
+        this.pageInput.value = '';
+        this.pageInput.blur();
+      }
     });
     
-    // Layout toggle
+    // Layout toggle (single page → two-page → continuous scroll)
     this.toggleLayoutButton?.addEventListener('click', () => {
-      this.mediaManager.toggleTwoPageMode();
+      this.mediaManager.cycleLayoutMode();
+    });
+    
+    // Cover page toggle (two-page mode only)
+    this.toggleCoverButton?.addEventListener('click', () => {
+      this.mediaManager.toggleCoverPage();
+    });
+    
+    // Reading direction (per file)
+    this.toggleDirectionButton?.addEventListener('click', () => this.toggleReadingDirection());
+    
+    // Margin trimming
+    this.cropButton?.addEventListener('click', () => this.marginCrop.open());
+    
+    // Rotation (Shift+click rotates only the current page)
+    this.rotateLeftButton?.addEventListener('click', (e) => {
+      if (e.shiftKey) {
+        this.rotateCurrentPage(-90);
+      } else {
+        this.rotateDocument(-90);
+      }
+    });
+    this.rotateRightButton?.addEventListener('click', (e) => {
+      if (e.shiftKey) {
+        this.rotateCurrentPage(90);
+      } else {
+        this.rotateDocument(90);
+      }
+    });
+    
+    // Zoom controls
+    this.zoomInButton?.addEventListener('click', () => this.zoomIn());
+    this.zoomOutButton?.addEventListener('click', () => this.zoomOut());
+    this.zoomModeSelect?.addEventListener('change', (e) => {
+      const value = e.target.value;
+      if (PDFViewer.FIT_MODES.includes(value)) {
+        this.setFitMode(value);
+      } else if (value !== 'custom') {
+        this.zoomTo(parseInt(value) / 100);
+      }
+    });
+    
+    // Export pages as images
+    this.exportPagesButton?.addEventListener('click', () => this.pageExporter.open());
+    
+    // Side panel (outline and other document panels)
+    this.togglePanelButton?.addEventListener('click', () => this.toggleSidePanel());
+    this.sidePanel?.querySelectorAll('.pdf-panel-tab').forEach(tab => {
+      tab.addEventListener('click', () => this.showPanel(tab.dataset.panel));
     });
     
     // Keyboard navigation
     document.addEventListener('keydown', (e) => {
       if (!this.currentFile || this.currentFile.mediaType !== 'pdf') return;
+      if (Utils.isEditableTarget(e.target)) return;
       
       switch (e.key) {
         case 'ArrowLeft':
+          // Alt+arrows move through the navigation history
+          if (e.altKey) break;
+          e.preventDefault();
+          this.pageLeft();
+          break;
+        case 'ArrowRight':
+          if (e.altKey) break;
+          e.preventDefault();
+          this.pageRight();
+          break;
         case 'ArrowUp':
           e.preventDefault();
           this.previousPage();
           break;
-        case 'ArrowRight':
         case 'ArrowDown':
           e.preventDefault();
           this.nextPage();
@@ -126,12 +323,43 @@ class PDFViewer {
           e.preventDefault();
           this.goToPage(this.totalPages);
           break;
+        case '+':
+        case '=':
+          if (e.ctrlKey || e.metaKey || e.altKey) break;
+          e.preventDefault();
+          this.zoomIn();
+          break;
+        case '-':
+          if (e.ctrlKey || e.metaKey || e.altKey) break;
+          e.preventDefault();
+          this.zoomOut();
+          break;
+        case '0':
+          if (e.ctrlKey || e.metaKey || e.altKey) break;
+          e.preventDefault();
+          this.resetZoom();
+          break;
+        case 'r':
+        case 'R':
+          if (e.ctrlKey || e.metaKey || e.altKey) break;
+          e.preventDefault();
+          this.rotateDocument(e.shiftKey ? -90 : 90);
+          break;
+        case '[':
+        case ']':
+          if (e.ctrlKey || e.metaKey || e.altKey) break;
+          e.preventDefault();
+          this.rotateCurrentPage(e.key === '[' ? -90 : 90);
+          break;
       }
     });
 
     // Canvas interaction for zoom and pan
     this.setupCanvasInteraction();
     
+    // Continuous scroll: follow the scroll position
+    this.scrollContainer?.addEventListener('scroll', () => this.handleScroll(), { passive: true });
+    
     // Window resize
     window.addEventListener('resize', Utils.debounce(() => {
       if (this.currentFile) {
@@ -142,23 +370,24 @@ class PDFViewer {
 
   /**
    * Setup canvas interaction (zoom, pan)
+   * Listeners sit on the page element so overlay layers move with the canvas
    */
   setupCanvasInteraction() {
-    if (!this.canvas) return;
+    if (!this.pageElement) return;
 
     // Mouse events
-    this.canvas.addEventListener('mousedown', (e) => this.handlePanStart(e));
-    this.canvas.addEventListener('mousemove', (e) => this.handlePanMove(e));
-    this.canvas.addEventListener('mouseup', (e) => this.handlePanEnd(e));
-    this.canvas.addEventListener('wheel', (e) => this.handleZoom(e));
+    this.pageElement.addEventListener('mousedown', (e) => this.handlePanStart(e));
+    this.pageElement.addEventListener('mousemove', (e) => this.handlePanMove(e));
+    this.pageElement.addEventListener('mouseup', (e) => this.handlePanEnd(e));
+    this.pageElement.addEventListener('wheel', (e) => this.handleZoom(e));
     
     // Touch events
-    this.canvas.addEventListener('touchstart', (e) => this.handleTouchStart(e));
-    this.canvas.addEventListener('touchmove', (e) => this.handleTouchMove(e));
-    this.canvas.addEventListener('touchend', (e) => this.handleTouchEnd(e));
+    this.pageElement.addEventListener('touchstart', (e) => this.handleTouchStart(e));
+    this.pageElement.addEventListener('touchmove', (e) => this.handleTouchMove(e));
+    this.pageElement.addEventListener('touchend', (e) => this.handleTouchEnd(e));
     
     // Prevent context menu
-    this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+    this.pageElement.addEventListener('contextmenu', (e) => e.preventDefault());
   }
 
   /**
@@ -176,8 +405,13 @@ class PDFViewer {
    */
   async loadPDF(file) {
     try {
+      this.setPresentationMode(false);
       this.currentFile = file;
       
+      // Stop rendering the previous document (and saving its view state into this file)
+      this.cancelRenderTasks();
+      this.pdfDocument = null;
+      
       // Show loading state
       this.setLoadingState(true);
       
@@ -185,12 +419,36 @@ class PDFViewer {
       const fileBlob = await this.mediaManager.getFileData(file.id);
       const arrayBuffer = await fileBlob.arrayBuffer();
       
-      // Load PDF document
-      const loadingTask = pdfjsLib.getDocument(arrayBuffer);
-      this.pdfDocument = await loadingTask.promise;
+      // Page sizes, canvases and cached renders of the previous document no longer apply
+      this.resetScrollMode();
+      this.clearRenderCache();
+      
+      // Load PDF document (asking for the password of encrypted files)
+      const pdfDocument = await this.passwordPrompt.openDocument(arrayBuffer, file);
+      
+      // Another file may have been opened while the password dialog was shown
+      const pageLabels = await this.loadPageLabels(pdfDocument);
+      if (this.currentFile !== file) {
+        pdfDocument.destroy();
+        return;
+      }
+      
+      // The document is only used once the file's view state is in place
+      this.pdfDocument = pdfDocument;
+      this.totalPages = pdfDocument.numPages;
+      this.pageLabels = pageLabels;
+      this.rotation = Utils.normalizeRotation(file.rotation || 0);
+      this.pageRotations = { ...(file.pageRotations || {}) };
+      this.readingDirection = file.readingDirection === 'rtl' ? 'rtl' : 'ltr';
+      this.cropMode = PDFViewer.CROP_MODES.includes(file.cropMode) ? file.cropMode : 'off';
+      this.cropMargins = file.cropMargins || null;
+      this.sliderStartPage = null;
+      this.fitMode = PDFViewer.FIT_MODES.includes(file.fitMode) || file.fitMode === 'custom' ? file.fitMode : null;
+      this.zoom = file.zoom || 1.0;
+      this.currentPage = this.getSpreadStart(file.lastViewedPage || 1);
       
-      this.totalPages = this.pdfDocument.numPages;
-      this.currentPage = file.lastViewedPage || 1;
+      this.emit('documentLoaded', { pdfDocument: this.pdfDocument, file });
+      this.annotationLayer.setFile(file.id);
       
       // Update UI
       this.updatePageInfo();
@@ -202,28 +460,131 @@ class PDFViewer {
       this.setLoadingState(false);
       
       console.log(`PDF loaded: ${file.fileName}, ${this.totalPages} pages`);
+      
+      await this.fillMissingFileDetails(file);
     } catch (error) {
-      console.error('Failed to load PDF:', error);
-      Utils.showToast('PDFの読み込みに失敗しました', 'error');
+      // A load replaced by another file's ends quietly, leaving the screen to that file
+      if (this.currentFile !== file) return;
+      
+      if (error.name === 'PasswordCancelledException') {
+        Utils.showToast('パスワードが入力されなかったため、PDFを開けませんでした', 'warning');
+      } else {
+        console.error('Failed to load PDF:', error);
+        Utils.showToast('PDFの読み込みに失敗しました', 'error');
+      }
       this.setLoadingState(false);
+      
+      // Leave nothing of the previous document on screen for this file
+      this.clearPDF();
+    }
+  }
+
+  /**
+   * Read the page labels of a document
+   * @returns {Promise<string[]|null>} Labels by page index, or null if the pages are simply numbered
+   */
+  async loadPageLabels(pdfDocument) {
+    try {
+      const labels = await pdfDocument.getPageLabels();
+      if (!labels || labels.every((label, index) => label === String(index + 1))) return null;
+      return labels;
+    } catch (error) {
+      console.warn('Failed to read page labels:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the logical label of a page
+   * @param {number} pageNumber - Physical page number (1-based)
+   * @returns {string|null} Label, or null if the page has none besides its number
+   */
+  getPageLabel(pageNumber) {
+    const label = this.pageLabels?.[pageNumber - 1];
+    return label && label !== String(pageNumber) ? label : null;
+  }
+
+  /**
+   * Find the page an entered label or number refers to
+   * Labels win over physical numbers, so "45" is the page printed as 45 in books whose
+   * numbering starts after the front matter
+   * @param {string} text - Entered label or page number
+   * @returns {number|null} Physical page number, or null if there is no such page
+   */
+  findPage(text) {
+    const value = text.trim();
+    if (!value) return null;
+    
+    if (this.pageLabels) {
+      const lowerValue = value.toLowerCase();
+      const index = this.pageLabels.findIndex(label => label && label.toLowerCase() === lowerValue);
+      if (index !== -1) return index + 1;
+    }
+    
+    const pageNumber = /^\d+$/.test(value) ? parseInt(value) : NaN;
+    return pageNumber >= 1 && pageNumber <= this.totalPages ? pageNumber : null;
+  }
+
+  /**
+   * Go to the page typed into the go-to-page box
+   */
+  goToPageInput(text) {
+    if (!this.pdfDocument || !text.trim()) return;
+    
+    const pageNumber = this.findPage(text);
+    if (!pageNumber) {
+      Utils.showToast(`「${Utils.escapeHtml(text.trim())}」というページはありません`, 'warning');
+      return;
+    }
+    
+    this.pageInput.value = '';
+    this.pageInput.blur();
+    this.followLink(pageNumber);
+  }
+
+  /**
+   * Fill in the page count and thumbnail of a file that could not be read when imported
+   * (encrypted files can only be read once unlocked)
+   */
+  async fillMissingFileDetails(file) {
+    if (file.pageCount != null) return;
+    
+    const details = { pageCount: this.totalPages };
+    try {
+      details.thumbnailDataUrl = await Utils.renderPDFThumbnail(this.pdfDocument);
+    } catch (error) {
+      console.warn('PDF thumbnail generation failed:', error);
     }
+    this.mediaManager.updateFileDetails(file, details);
   }
 
   /**
    * Clear current PDF
    */
   clearPDF() {
-    if (this.renderTask) {
-      this.renderTask.cancel();
-      this.renderTask = null;
-    }
+    this.cancelRenderTasks();
+    this.passwordPrompt.cancel();
+    this.setLoadingState(false);
     
     this.pdfDocument = null;
     this.currentFile = null;
+    this.setPresentationMode(false);
     this.currentPage = 1;
     this.totalPages = 1;
+    this.pageLabels = null;
     this.scale = 1.0;
+    this.rotation = 0;
+    this.pageRotations = {};
+    this.readingDirection = 'ltr';
+    this.cropMode = 'off';
+    this.cropMargins = null;
+    this.sliderStartPage = null;
+    this.fitMode = null;
+    this.zoom = 1.0;
     this.panOffset = { x: 0, y: 0 };
+    this.pageLayouts = [];
+    this.resetScrollMode();
+    this.clearRenderCache();
     
     // Clear canvas
     if (this.context && this.canvas) {
@@ -232,57 +593,99 @@ class PDFViewer {
     
     this.updatePageInfo();
     this.updateControls();
+    
+    this.annotationLayer.clear();
+    this.emit('documentCleared');
+  }
+
+  /**
+   * Cancel any in-flight render tasks
+   */
+  cancelRenderTasks() {
+    this.renderTasks.forEach(task => task.cancel());
+    this.renderTasks = [];
   }
 
   /**
-   * Render current page
+   * Render current page (or spread in two-page mode)
+   * A request that arrives during a render restarts it, so the last requested page is shown.
+   * Every caller gets the promise of the running render, which settles once that page is drawn
    */
   async renderPage() {
-    if (!this.pdfDocument || this.isRendering) return;
+    if (!this.pdfDocument) return;
+    if (this.layoutMode === 'scroll') return this.renderScrollLayout();
     
-    try {
-      this.isRendering = true;
-      
-      // Cancel previous render task
-      if (this.renderTask) {
-        this.renderTask.cancel();
+    // Stop background pre-rendering from starting another spread
+    this.prerenderGeneration++;
+    
+    if (this.isRendering) {
+      this.renderPending = true;
+      this.cancelRenderTasks();
+      return this.renderPromise;
+    }
+    
+    this.isRendering = true;
+    this.renderPromise = (async () => {
+      try {
+        do {
+          this.renderPending = false;
+          await this.renderSpread();
+        } while (this.renderPending && this.pdfDocument && this.layoutMode !== 'scroll');
+      } finally {
+        this.isRendering = false;
+        this.renderPromise = null;
       }
       
-      // Get page
-      const page = await this.pdfDocument.getPage(this.currentPage);
+      this.prerenderAdjacentPages();
+    })();
+    return this.renderPromise;
+  }
+
+  /**
+   * Render the spread of the current page, from the render cache when possible
+   */
+  async renderSpread() {
+    const pdfDocument = this.pdfDocument;
+    
+    try {
+      const spread = await this.getSpreadLayout(this.getSpreadPages(this.currentPage));
+      if (this.pdfDocument !== pdfDocument || this.renderPending) return;
       
-      // Calculate scale and viewport
-      const containerRect = this.canvas.parentElement.getBoundingClientRect();
-      const viewport = page.getViewport({ scale: 1.0 });
+      // The neighbour being pre-rendered may be the page just turned to
+      if (!this.renderCache.has(spread.key) && this.prerenderJobs.has(spread.key)) {
+        await this.prerenderJobs.get(spread.key).promise.catch(() => {});
+      }
       
-      // Calculate scale to fit container
-      const scaleX = (containerRect.width - 40) / viewport.width;
-      const scaleY = (containerRect.height - 40) / viewport.height;
-      const fitScale = Math.min(scaleX, scaleY, 2.0); // Max scale 2.0
+      let image = this.renderCache.get(spread.key);
+      if (!image) {
+        this.renderTasks = [];
+        image = await this.renderSpreadImage(spread, this.renderTasks);
+        this.renderTasks = [];
+        if (this.pdfDocument !== pdfDocument) return;
+        this.cacheRender(spread.key, image);
+      }
+      if (this.pdfDocument !== pdfDocument || this.renderPending) return;
       
-      this.scale = fitScale;
-      const scaledViewport = page.getViewport({ 
-        scale: this.scale,
-        rotation: this.rotation
-      });
+      // Keep the entry most recently used
+      this.renderCache.delete(spread.key);
+      this.renderCache.set(spread.key, image);
       
-      // Set canvas size
-      this.canvas.width = scaledViewport.width;
-      this.canvas.height = scaledViewport.height;
+      // Set canvas size to hold the pages side by side, in device pixels where it fits
+      this.scale = spread.scale;
+      this.canvas.width = image.width;
+      this.canvas.height = image.height;
+      this.canvas.style.width = `${spread.cssWidth}px`;
+      this.canvas.style.height = `${spread.cssHeight}px`;
+      this.context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+      this.context.drawImage(image, 0, 0);
       
       // Apply pan offset
-      this.canvas.style.transform = `translate(${this.panOffset.x}px, ${this.panOffset.y}px)`;
-      
-      // Render page
-      const renderContext = {
-        canvasContext: this.context,
-        viewport: scaledViewport
-      };
-      
-      this.renderTask = page.render(renderContext);
-      await this.renderTask.promise;
+      this.pageElement.style.transform = `translate(${this.panOffset.x}px, ${this.panOffset.y}px)`;
       
-      this.renderTask = null;
+      this.pageLayouts = spread.pageLayouts;
+      this.updateAnnotationSurfaces();
+      this.updateZoomControls();
+      this.emit('pageRendered', this.pageLayouts);
       
       // Save current page to MediaManager
       if (this.currentFile) {
@@ -293,173 +696,1162 @@ class PDFViewer {
       if (error.name !== 'RenderingCancelledException') {
         console.error('Failed to render page:', error);
       }
-    } finally {
-      this.isRendering = false;
     }
   }
 
   /**
-   * Go to specific page
+   * Calculate the scale, canvas size and page layouts of a spread
+   * @param {number[]} pageNumbers - Pages of the spread
+   * @returns {Promise<Object>} Spread {key, pages, pageLayouts, scale, cssWidth, cssHeight, outputScale}
    */
-  async goToPage(pageNumber) {
-    if (!this.pdfDocument) return;
+  async getSpreadLayout(pageNumbers) {
+    const pages = await Promise.all(
+      pageNumbers.map(pageNumber => this.pdfDocument.getPage(pageNumber))
+    );
+    const rotations = pages.map(page => this.getPageRotation(page));
+    const viewBoxes = await Promise.all(pages.map(page => this.getCropBox(page)));
     
-    const page = Math.max(1, Math.min(pageNumber, this.totalPages));
-    if (page === this.currentPage) return;
+    // Calculate scale and viewport
+    const viewports = pages.map((page, index) => this.createPageViewport(page, viewBoxes[index], 1.0));
+    const spreadWidth = viewports.reduce((sum, viewport) => sum + viewport.width, 0);
+    const spreadHeight = Math.max(...viewports.map(viewport => viewport.height));
     
-    this.currentPage = page;
-    this.updatePageInfo();
-    await this.renderPage();
+    const scale = this.computeScale(spreadWidth, spreadHeight);
+    const cssWidth = Math.floor(spreadWidth * scale);
+    const cssHeight = Math.floor(spreadHeight * scale);
+    const outputScale = PDFViewer.getOutputScale(cssWidth, cssHeight);
+    
+    // Lay out each page at its horizontal offset, vertically centred
+    let offsetX = 0;
+    const pageLayouts = pages.map((page, index) => {
+      const viewport = this.createPageViewport(page, viewBoxes[index], scale);
+      const layout = {
+        pageNumber: pageNumbers[index],
+        viewport,
+        outputScale,
+        x: offsetX,
+        y: (cssHeight - viewport.height) / 2,
+        width: viewport.width,
+        height: viewport.height
+      };
+      offsetX += viewport.width;
+      return layout;
+    });
+    
+    // Right-to-left books put the first page of a spread on the right
+    if (this.isRightToLeft()) {
+      pageLayouts.forEach(layout => {
+        layout.x = cssWidth - layout.x - layout.width;
+      });
+    }
+    
+    const crop = viewBoxes.map(viewBox => viewBox ? viewBox.map(value => value.toFixed(1)).join(' ') : '').join(',');
+    return {
+      key: `${pageNumbers.join(',')}|${this.readingDirection}|${rotations.join(',')}|${crop}|${scale.toFixed(4)}|${outputScale.toFixed(4)}`,
+      pages,
+      pageLayouts,
+      scale,
+      cssWidth,
+      cssHeight,
+      outputScale
+    };
   }
 
   /**
-   * Go to previous page
+   * Render a spread into an image off screen
+   * @param {Object} spread - Spread from getSpreadLayout()
+   * @param {Array} tasks - Array the PDF.js render tasks are added to, for cancelling
+   * @returns {Promise<ImageBitmap|HTMLCanvasElement>} Rendered spread
    */
-  previousPage() {
-    if (this.currentPage > 1) {
-      this.goToPage(this.currentPage - 1);
+  async renderSpreadImage(spread, tasks) {
+    const { outputScale } = spread;
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.floor(spread.cssWidth * outputScale);
+    canvas.height = Math.floor(spread.cssHeight * outputScale);
+    const context = canvas.getContext('2d');
+    
+    // PDF.js cannot render two pages into one canvas (each render clears it), so every
+    // page gets a canvas of its own that is then drawn at its place in the spread.
+    // Form fields are left to PDFFormLayer, which shows them as HTML controls
+    const pageCanvases = spread.pageLayouts.map(layout => {
+      const pageCanvas = document.createElement('canvas');
+      pageCanvas.width = Math.ceil(layout.width * outputScale);
+      pageCanvas.height = Math.ceil(layout.height * outputScale);
+      return pageCanvas;
+    });
+    const pageTasks = spread.pages.map((page, index) => page.render({
+      canvasContext: pageCanvases[index].getContext('2d'),
+      viewport: spread.pageLayouts[index].viewport,
+      transform: [outputScale, 0, 0, outputScale, 0, 0],
+      annotationMode: pdfjsLib.AnnotationMode.ENABLE_FORMS
+    }));
+    tasks.push(...pageTasks);
+    
+    try {
+      await Promise.all(pageTasks.map(task => task.promise));
+      pageCanvases.forEach((pageCanvas, index) => {
+        const layout = spread.pageLayouts[index];
+        context.drawImage(pageCanvas, Math.round(layout.x * outputScale), Math.round(layout.y * outputScale));
+      });
+    } finally {
+      pageCanvases.forEach(pageCanvas => {
+        pageCanvas.width = 0;
+        pageCanvas.height = 0;
+      });
     }
+    
+    if (typeof createImageBitmap !== 'function') return canvas;
+    
+    const bitmap = await createImageBitmap(canvas);
+    canvas.width = 0;
+    canvas.height = 0;
+    return bitmap;
   }
 
   /**
-   * Go to next page
+   * Add a rendered spread to the render cache, evicting the least recently used
    */
-  nextPage() {
-    if (this.currentPage < this.totalPages) {
-      this.goToPage(this.currentPage + 1);
+  cacheRender(key, image) {
+    this.renderCache.delete(key);
+    this.renderCache.set(key, image);
+    
+    while (this.renderCache.size > PDFViewer.RENDER_CACHE_SIZE) {
+      const [oldestKey, oldestImage] = this.renderCache.entries().next().value;
+      this.renderCache.delete(oldestKey);
+      oldestImage.close?.();
     }
   }
 
   /**
-   * Update page information display
+   * Empty the render cache
    */
-  updatePageInfo() {
-    if (this.pageNumElement) {
-      this.pageNumElement.textContent = this.currentPage;
-    }
-    if (this.pageCountElement) {
-      this.pageCountElement.textContent = this.totalPages;
-    }
-    if (this.pageSlider) {
-      this.pageSlider.min = '1';
-      this.pageSlider.max = this.totalPages.toString();
-      this.pageSlider.value = this.currentPage.toString();
-    }
+  clearRenderCache() {
+    this.prerenderGeneration++;
+    this.prerenderJobs.forEach(job => job.tasks.forEach(task => task.cancel()));
+    this.prerenderJobs.clear();
+    this.renderCache.forEach(image => image.close?.());
+    this.renderCache.clear();
   }
 
   /**
-   * Update control buttons state
+   * Render the spreads before and after the current one in the background
    */
-  updateControls() {
-    if (this.prevButton) {
-      this.prevButton.disabled = this.currentPage <= 1;
-    }
-    if (this.nextButton) {
-      this.nextButton.disabled = this.currentPage >= this.totalPages;
-    }
-    if (this.toggleLayoutButton) {
-      this.toggleLayoutButton.textContent = this.isTwoPageMode ? '📄' : '📖';
-      this.toggleLayoutButton.title = this.isTwoPageMode ? 'シングルページ' : 'ツーページ';
+  async prerenderAdjacentPages() {
+    if (!this.pdfDocument || this.layoutMode === 'scroll') return;
+    
+    const generation = ++this.prerenderGeneration;
+    const pdfDocument = this.pdfDocument;
+    const lastVisiblePage = this.getSpreadPages(this.currentPage).slice(-1)[0];
+    const spreadStarts = [lastVisiblePage + 1, this.currentPage - 1]
+      .filter(pageNumber => pageNumber >= 1 && pageNumber <= this.totalPages)
+      .map(pageNumber => this.getSpreadStart(pageNumber));
+    
+    for (const spreadStart of spreadStarts) {
+      if (generation !== this.prerenderGeneration || this.pdfDocument !== pdfDocument) return;
+      
+      let job = null;
+      try {
+        const spread = await this.getSpreadLayout(this.getSpreadPages(spreadStart));
+        if (generation !== this.prerenderGeneration) return;
+        if (this.renderCache.has(spread.key) || this.prerenderJobs.has(spread.key)) continue;
+        
+        job = { key: spread.key, tasks: [] };
+        job.promise = this.renderSpreadImage(spread, job.tasks);
+        this.prerenderJobs.set(job.key, job);
+        
+        const image = await job.promise;
+        if (this.prerenderJobs.get(job.key) === job) {
+          this.cacheRender(job.key, image);
+        }
+      } catch (error) {
+        if (error.name !== 'RenderingCancelledException') {
+          console.error('Failed to pre-render page:', error);
+        }
+      } finally {
+        if (job && this.prerenderJobs.get(job.key) === job) {
+          this.prerenderJobs.delete(job.key);
+        }
+      }
     }
   }
 
   /**
-   * Update layout based on settings
+   * Place annotation surfaces over the rendered pages
    */
-  updateLayout() {
-    this.updateControls();
-    if (this.currentFile) {
-      this.renderPage();
-    }
+  updateAnnotationSurfaces() {
+    this.annotationLayer.setSurfaces(this.pageLayouts.map(layout => ({
+      pageNumber: layout.pageNumber,
+      left: layout.x,
+      top: layout.y,
+      width: layout.width,
+      height: layout.height,
+      matrix: layout.viewport.transform
+    })));
   }
 
   /**
-   * Handle zoom with mouse wheel
+   * Lay out every page for continuous scroll and render the ones near the viewport
    */
-  handleZoom(e) {
-    if (!this.currentFile) return;
+  async renderScrollLayout() {
+    const pdfDocument = this.pdfDocument;
+    const anchor = this.getScrollAnchor();
     
-    e.preventDefault();
+    try {
+      await this.loadPageSizes(pdfDocument);
+    } catch (error) {
+      console.error('Failed to measure pages:', error);
+      return;
+    }
+    if (this.pdfDocument !== pdfDocument || this.layoutMode !== 'scroll') return;
     
-    const rect = this.canvas.getBoundingClientRect();
-    const x = e.clientX - rect.left;
-    const y = e.clientY - rect.top;
+    this.layoutScrollPages();
+    this.scrollToPage(anchor.pageNumber, anchor.offset);
+    await this.renderVisiblePages();
+  }
+
+  /**
+   * Measure every page once per document (unscaled, without rotation, after trimming)
+   */
+  async loadPageSizes(pdfDocument) {
+    if (this.pageSizes.length === pdfDocument.numPages) return;
     
-    const zoomFactor = e.deltaY > 0 ? 0.9 : 1.1;
-    const newScale = Math.max(0.5, Math.min(3.0, this.scale * zoomFactor));
+    const pages = await Promise.all(
+      Array.from({ length: pdfDocument.numPages }, (_, index) => pdfDocument.getPage(index + 1))
+    );
+    const viewBoxes = await Promise.all(pages.map(page => this.getCropBox(page)));
+    if (this.pdfDocument !== pdfDocument) return;
     
-    if (newScale !== this.scale) {
-      // Calculate zoom center
-      this.zoomCenter = { x, y };
-      
-      // Adjust pan offset for zoom center
-      const scaleRatio = newScale / this.scale;
-      this.panOffset.x = x - (x - this.panOffset.x) * scaleRatio;
-      this.panOffset.y = y - (y - this.panOffset.y) * scaleRatio;
-      
-      this.scale = newScale;
-      this.renderPage();
-    }
+    this.pageSizes = pages.map((page, index) => {
+      const viewBox = viewBoxes[index];
+      const [x1, y1, x2, y2] = viewBox || page.view;
+      return { width: Math.abs(x2 - x1), height: Math.abs(y2 - y1), rotate: page.rotate, viewBox };
+    });
   }
 
   /**
-   * Handle pan start
+   * Get the unscaled size of a page as it is displayed (after rotation)
    */
-  handlePanStart(e) {
-    if (!this.currentFile) return;
-    
-    this.isDragging = true;
-    this.lastPanPoint = { x: e.clientX, y: e.clientY };
-    this.canvas.style.cursor = 'grabbing';
+  getDisplayedPageSize(pageNumber) {
+    const { width, height, rotate } = this.pageSizes[pageNumber - 1];
+    const rotation = Utils.normalizeRotation(rotate + this.rotation + (this.pageRotations[pageNumber] || 0));
+    return rotation % 180 === 0 ? { width, height } : { width: height, height: width };
   }
 
   /**
-   * Handle pan move
+   * Stack all pages vertically, fitting the widest page to the container width
    */
-  handlePanMove(e) {
-    if (!this.isDragging || !this.currentFile) return;
+  layoutScrollPages() {
+    const sizes = this.pageSizes.map((_, index) => this.getDisplayedPageSize(index + 1));
+    const maxWidth = Math.max(...sizes.map(size => size.width));
+    const maxHeight = Math.max(...sizes.map(size => size.height));
     
-    const dx = e.clientX - this.lastPanPoint.x;
-    const dy = e.clientY - this.lastPanPoint.y;
+    this.scale = this.computeScale(maxWidth, maxHeight);
+    const totalWidth = Math.floor(maxWidth * this.scale);
     
-    this.panOffset.x += dx;
-    this.panOffset.y += dy;
+    let offsetY = 0;
+    this.scrollLayouts = sizes.map((size, index) => {
+      const width = size.width * this.scale;
+      const height = size.height * this.scale;
+      const layout = {
+        pageNumber: index + 1,
+        viewport: null,
+        x: (totalWidth - width) / 2,
+        y: offsetY,
+        width,
+        height
+      };
+      offsetY += height + this.scrollPageGap;
+      return layout;
+    });
     
-    this.lastPanPoint = { x: e.clientX, y: e.clientY };
+    this.pageElement.style.width = `${totalWidth}px`;
+    this.pageElement.style.height = `${Math.max(0, offsetY - this.scrollPageGap)}px`;
+    this.pageElement.style.transform = 'none';
+    this.panOffset = { x: 0, y: 0 };
     
-    // Apply transform immediately for smooth panning
-    this.canvas.style.transform = `translate(${this.panOffset.x}px, ${this.panOffset.y}px)`;
+    // Every page has to be drawn again at the new layout
+    this.releaseScrollPages();
+    this.updateZoomControls();
   }
 
   /**
-   * Handle pan end
+   * Remember the reading position as a page and a fraction of its height
    */
-  handlePanEnd(e) {
-    this.isDragging = false;
-    this.canvas.style.cursor = 'grab';
+  getScrollAnchor() {
+    const layout = this.scrollLayouts[this.currentPage - 1];
+    if (!layout || !this.scrollContainer) {
+      return { pageNumber: this.currentPage, offset: 0 };
+    }
+    
+    const pageTop = this.pageElement.offsetTop + layout.y;
+    return {
+      pageNumber: this.currentPage,
+      offset: Math.max(0, (this.scrollContainer.scrollTop - pageTop) / layout.height)
+    };
   }
 
   /**
-   * Handle touch start
+   * Scroll so a page (optionally a fraction down the page) is at the top
    */
-  handleTouchStart(e) {
-    if (e.touches.length === 1) {
-      // Single touch - pan
-      const touch = e.touches[0];
-      this.handlePanStart({ clientX: touch.clientX, clientY: touch.clientY });
+  scrollToPage(pageNumber, offset = 0) {
+    const layout = this.scrollLayouts[pageNumber - 1];
+    if (!layout || !this.scrollContainer) return;
+    
+    const target = this.pageElement.offsetTop + layout.y + offset * layout.height -
+      (offset === 0 ? this.scrollPageGap / 2 : 0);
+    const maxScroll = this.scrollContainer.scrollHeight - this.scrollContainer.clientHeight;
+    const scrollTop = Math.max(0, Math.min(target, maxScroll));
+    
+    // The scroll event this causes must not move the current page elsewhere
+    if (Math.abs(scrollTop - this.scrollContainer.scrollTop) >= 1) {
+      this.programmaticScrollPage = pageNumber;
+      this.scrollContainer.scrollTop = scrollTop;
     }
-    e.preventDefault();
   }
 
   /**
-   * Handle touch move
+   * Get the pages within one screen of the visible area
    */
-  handleTouchMove(e) {
-    if (e.touches.length === 1 && this.isDragging) {
-      // Single touch - pan
-      const touch = e.touches[0];
-      this.handlePanMove({ clientX: touch.clientX, clientY: touch.clientY });
-    } else if (e.touches.length === 2) {
+  getPagesNearViewport() {
+    const viewTop = this.scrollContainer.scrollTop - this.pageElement.offsetTop;
+    const viewHeight = this.scrollContainer.clientHeight;
+    const top = viewTop - viewHeight;
+    const bottom = viewTop + viewHeight * 2;
+    
+    return this.scrollLayouts
+      .filter(layout => layout.y + layout.height >= top && layout.y <= bottom)
+      .map(layout => layout.pageNumber);
+  }
+
+  /**
+   * Render the pages near the viewport and recycle the canvases of the rest
+   * Requests made while rendering are merged into one more pass
+   */
+  async renderVisiblePages() {
+    if (this.isRenderingScroll) {
+      this.scrollRenderPending = true;
+      return;
+    }
+    this.isRenderingScroll = true;
+    
+    try {
+      do {
+        this.scrollRenderPending = false;
+        
+        const pdfDocument = this.pdfDocument;
+        const pageNumbers = this.getPagesNearViewport();
+        
+        this.scrollPages.forEach((entry, pageNumber) => {
+          if (!pageNumbers.includes(pageNumber)) {
+            this.releaseScrollPage(pageNumber);
+          }
+        });
+        
+        await Promise.all(pageNumbers
+          .filter(pageNumber => !this.scrollPages.has(pageNumber))
+          .map(pageNumber => this.renderScrollPage(pdfDocument, pageNumber)));
+        
+        if (this.pdfDocument !== pdfDocument || this.layoutMode !== 'scroll') return;
+        
+        this.pageLayouts = pageNumbers
+          .map(pageNumber => this.scrollLayouts[pageNumber - 1])
+          .filter(layout => layout && layout.viewport);
+        this.updateAnnotationSurfaces();
+        this.emit('pageRendered', this.pageLayouts);
+      } while (this.scrollRenderPending);
+    } finally {
+      this.isRenderingScroll = false;
+    }
+  }
+
+  /**
+   * Render one page into its own (pooled) canvas
+   */
+  async renderScrollPage(pdfDocument, pageNumber) {
+    const layout = this.scrollLayouts[pageNumber - 1];
+    const canvas = this.canvasPool.pop() || document.createElement('canvas');
+    canvas.className = 'pdf-scroll-canvas';
+    
+    const entry = { canvas, task: null };
+    this.scrollPages.set(pageNumber, entry);
+    
+    try {
+      const page = await pdfDocument.getPage(pageNumber);
+      if (this.scrollPages.get(pageNumber) !== entry) return;
+      
+      const viewport = this.createPageViewport(page, this.pageSizes[pageNumber - 1].viewBox, this.scale);
+      const outputScale = PDFViewer.getOutputScale(viewport.width, viewport.height);
+      canvas.width = Math.floor(viewport.width * outputScale);
+      canvas.height = Math.floor(viewport.height * outputScale);
+      canvas.style.width = `${layout.width}px`;
+      canvas.style.height = `${layout.height}px`;
+      canvas.style.left = `${layout.x}px`;
+      canvas.style.top = `${layout.y}px`;
+      
+      // Below the overlay layers, which follow the main canvas
+      this.pageElement.insertBefore(canvas, this.canvas.nextSibling);
+      layout.viewport = viewport;
+      layout.outputScale = outputScale;
+      
+      entry.task = page.render({
+        canvasContext: canvas.getContext('2d'),
+        viewport,
+        transform: [outputScale, 0, 0, outputScale, 0, 0],
+        annotationMode: pdfjsLib.AnnotationMode.ENABLE_FORMS
+      });
+      await entry.task.promise;
+    } catch (error) {
+      if (error.name !== 'RenderingCancelledException') {
+        console.error(`Failed to render page ${pageNumber}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Stop rendering a page and return its canvas to the pool
+   */
+  releaseScrollPage(pageNumber) {
+    const entry = this.scrollPages.get(pageNumber);
+    if (!entry) return;
+    
+    entry.task?.cancel();
+    entry.canvas.remove();
+    this.scrollPages.delete(pageNumber);
+    
+    // Drop the pixel buffer so pooled canvases hold no memory
+    entry.canvas.width = 0;
+    entry.canvas.height = 0;
+    if (this.canvasPool.length < this.maxPooledCanvases) {
+      this.canvasPool.push(entry.canvas);
+    }
+  }
+
+  /**
+   * Release the canvases of every rendered page
+   */
+  releaseScrollPages() {
+    Array.from(this.scrollPages.keys()).forEach(pageNumber => this.releaseScrollPage(pageNumber));
+  }
+
+  /**
+   * Remove the page stack of continuous scroll mode (page sizes are kept)
+   */
+  clearScrollLayout() {
+    this.releaseScrollPages();
+    this.scrollLayouts = [];
+    this.programmaticScrollPage = null;
+    if (this.pageElement) {
+      this.pageElement.style.width = '';
+      this.pageElement.style.height = '';
+    }
+  }
+
+  /**
+   * Forget all continuous scroll state (new document or none)
+   */
+  resetScrollMode() {
+    this.clearScrollLayout();
+    this.pageSizes = [];
+  }
+
+  /**
+   * Handle scrolling in continuous scroll mode (once per frame)
+   */
+  handleScroll() {
+    if (this.layoutMode !== 'scroll' || !this.pdfDocument || this.scrollFrame) return;
+    
+    this.scrollFrame = requestAnimationFrame(() => {
+      this.scrollFrame = null;
+      this.updateCurrentPageFromScroll();
+      this.renderVisiblePages();
+    });
+  }
+
+  /**
+   * Make the page at the top quarter of the view the current page
+   */
+  updateCurrentPageFromScroll() {
+    if (this.programmaticScrollPage !== null) {
+      this.programmaticScrollPage = null;
+      return;
+    }
+    
+    const probe = this.scrollContainer.scrollTop - this.pageElement.offsetTop +
+      this.scrollContainer.clientHeight / 4;
+    let pageNumber = 1;
+    for (const layout of this.scrollLayouts) {
+      if (layout.y > probe) break;
+      pageNumber = layout.pageNumber;
+    }
+    
+    if (pageNumber !== this.currentPage) {
+      this.setScrollCurrentPage(pageNumber);
+    }
+  }
+
+  /**
+   * Update the current page without re-rendering (continuous scroll mode)
+   */
+  setScrollCurrentPage(pageNumber) {
+    this.currentPage = pageNumber;
+    this.updatePageInfo();
+    this.updateControls();
+    if (this.pdfDocument && this.currentFile) {
+      this.mediaManager.updateLastViewedPage(this.currentFile, pageNumber);
+    }
+    this.emit('pageChanged', pageNumber);
+  }
+
+  /**
+   * Get the first page of the spread containing a page.
+   * With a cover page, page 1 stands alone and spreads start on even pages;
+   * without one, spreads start on odd pages.
+   */
+  getSpreadStart(pageNumber) {
+    const page = Math.max(1, Math.min(pageNumber, this.totalPages));
+    if (!this.isTwoPageMode) return page;
+    
+    if (this.showCoverPage) {
+      if (page === 1) return 1;
+      return page % 2 === 0 ? page : page - 1;
+    }
+    return page % 2 === 1 ? page : page - 1;
+  }
+
+  /**
+   * Get the page numbers shown together with a page
+   */
+  getSpreadPages(pageNumber) {
+    const start = this.getSpreadStart(pageNumber);
+    if (!this.isTwoPageMode || (this.showCoverPage && start === 1) || start >= this.totalPages) {
+      return [start];
+    }
+    return [start, start + 1];
+  }
+
+  /**
+   * Go to specific page
+   * @param {number} pageNumber - Page number
+   * @param {Object} options - {record}: true to always add the move to the navigation
+   *   history, false to never add it; by default only large jumps are added
+   */
+  async goToPage(pageNumber, options = {}) {
+    if (!this.pdfDocument) return;
+    
+    const page = this.getSpreadStart(pageNumber);
+    if (options.record !== false) {
+      this.recordJump(this.currentPage, page, options.record);
+    }
+    
+    if (this.layoutMode === 'scroll') {
+      if (page !== this.currentPage) {
+        this.setScrollCurrentPage(page);
+      }
+      this.scrollToPage(page);
+      await this.renderVisiblePages();
+      return;
+    }
+    
+    if (page === this.currentPage) return;
+    
+    this.currentPage = page;
+    this.updatePageInfo();
+    this.updateControls();
+    await this.renderPage();
+  }
+
+  /**
+   * Go to previous page (or spread)
+   */
+  previousPage() {
+    if (this.currentPage > 1) {
+      this.goToPage(this.currentPage - 1);
+    }
+  }
+
+  /**
+   * Go to next page (or spread)
+   */
+  nextPage() {
+    const lastVisiblePage = this.getSpreadPages(this.currentPage).slice(-1)[0];
+    if (lastVisiblePage < this.totalPages) {
+      this.goToPage(lastVisiblePage + 1);
+    }
+  }
+
+  /**
+   * Go to the target of an internal link, adding the move to the navigation history
+   * however short it is
+   */
+  followLink(pageNumber) {
+    if (!this.pdfDocument) return;
+    
+    const target = Math.max(1, Math.min(this.totalPages, pageNumber));
+    if (this.getSpreadPages(this.currentPage).includes(target)) return;
+    
+    this.goToPage(target, { record: true });
+  }
+
+  /**
+   * Announce a move between pages to the navigation history if it is a jump
+   * @param {number} from - Page left
+   * @param {number} to - Page arrived at
+   * @param {boolean} force - Announce it however short the move is
+   */
+  recordJump(from, to, force = false) {
+    if (!this.currentFile || from === to) return;
+    if (force || Math.abs(to - from) > PDFViewer.HISTORY_JUMP_PAGES) {
+      this.emit('pageJump', { from, to });
+    }
+  }
+
+  /**
+   * Turn to the page on the left (the next page in right-to-left books)
+   */
+  pageLeft() {
+    if (this.isRightToLeft()) {
+      this.nextPage();
+    } else {
+      this.previousPage();
+    }
+  }
+
+  /**
+   * Turn to the page on the right (the previous page in right-to-left books)
+   */
+  pageRight() {
+    if (this.isRightToLeft()) {
+      this.previousPage();
+    } else {
+      this.nextPage();
+    }
+  }
+
+  /**
+   * Check if the current file reads right to left
+   */
+  isRightToLeft() {
+    return this.readingDirection === 'rtl';
+  }
+
+  /**
+   * Set the reading direction of the current file ('ltr' or 'rtl')
+   */
+  setReadingDirection(direction) {
+    if (!this.pdfDocument || !MediaManager.READING_DIRECTIONS.includes(direction)) return;
+    
+    this.readingDirection = direction;
+    this.mediaManager.updateViewState(this.currentFile, { readingDirection: direction });
+    this.updateControls();
+    this.renderPage();
+  }
+
+  /**
+   * Switch the current file between left-to-right and right-to-left
+   */
+  toggleReadingDirection() {
+    this.setReadingDirection(this.isRightToLeft() ? 'ltr' : 'rtl');
+  }
+
+  /**
+   * Get the part of a page to show with the current trimming
+   * Continuous scroll always uses one box for the whole document, so the page stack does
+   * not have to analyse every page before it can be laid out
+   * @param {PDFPageProxy} page - PDF.js page
+   * @returns {Promise<number[]|null>} View box in PDF user space, or null for the whole page
+   */
+  async getCropBox(page) {
+    let margins = null;
+    try {
+      if (this.cropMode === 'manual') {
+        margins = this.cropMargins;
+      } else if (this.cropMode === 'document' || (this.cropMode === 'page' && this.layoutMode === 'scroll')) {
+        margins = await this.marginCrop.getDocumentMargins(this.pdfDocument);
+      } else if (this.cropMode === 'page') {
+        margins = await this.marginCrop.getPageMargins(this.pdfDocument, page);
+      }
+    } catch (error) {
+      console.warn(`Failed to detect the margins of page ${page.pageNumber}:`, error);
+    }
+    return PDFMarginCrop.applyMargins(page.view, margins);
+  }
+
+  /**
+   * Create the viewport of a page, limited to its view box when trimmed
+   */
+  createPageViewport(page, viewBox, scale) {
+    const rotation = this.getPageRotation(page);
+    return viewBox
+      ? PDFMarginCrop.createViewport(page, viewBox, scale, rotation)
+      : page.getViewport({ scale, rotation });
+  }
+
+  /**
+   * Set how the margins of the current file are trimmed
+   * @param {string} mode - Crop mode (see CROP_MODES)
+   * @param {Object|null} margins - Manual margins, kept for manual mode
+   */
+  setCrop(mode, margins = null) {
+    if (!this.pdfDocument || !PDFViewer.CROP_MODES.includes(mode)) return;
+    
+    this.cropMode = mode;
+    if (margins) {
+      this.cropMargins = margins;
+    }
+    this.mediaManager.updateViewState(this.currentFile, {
+      cropMode: this.cropMode,
+      cropMargins: this.cropMargins
+    });
+    
+    // Page sizes of continuous scroll depend on the trimming
+    this.pageSizes = [];
+    this.updateControls();
+    this.renderPage();
+  }
+
+  /**
+   * Update page information display
+   */
+  updatePageInfo() {
+    const pages = this.getSpreadPages(this.currentPage);
+    const firstPage = pages[0];
+    const lastPage = pages[pages.length - 1];
+    if (this.pageNumElement) {
+      this.pageNumElement.textContent = pages.length > 1 ? `${firstPage}-${lastPage}` : firstPage;
+    }
+    if (this.pageLabelElement) {
+      // The printed page numbers, next to the physical ones
+      const labels = [...new Set([firstPage, lastPage].map(pageNumber => this.getPageLabel(pageNumber)).filter(Boolean))];
+      this.pageLabelElement.textContent = labels.length > 0 ? `（${labels.join('-')}）` : '';
+      this.pageLabelElement.classList.toggle('hidden', labels.length === 0);
+    }
+    if (this.pageCountElement) {
+      this.pageCountElement.textContent = this.totalPages;
+    }
+    if (this.pageSlider) {
+      this.pageSlider.min = '1';
+      this.pageSlider.max = this.totalPages.toString();
+      this.pageSlider.value = this.currentPage.toString();
+    }
+  }
+
+  /**
+   * Update control buttons state
+   */
+  updateControls() {
+    const isFirst = this.currentPage <= 1;
+    const isLast = this.getSpreadPages(this.currentPage).slice(-1)[0] >= this.totalPages;
+    const isRightToLeft = this.isRightToLeft();
+    
+    if (this.prevButton) {
+      this.prevButton.disabled = isRightToLeft ? isLast : isFirst;
+      this.prevButton.title = isRightToLeft ? '次のページ' : '前のページ';
+    }
+    if (this.nextButton) {
+      this.nextButton.disabled = isRightToLeft ? isFirst : isLast;
+      this.nextButton.title = isRightToLeft ? '前のページ' : '次のページ';
+    }
+    if (this.pageSlider) {
+      this.pageSlider.dir = this.readingDirection;
+    }
+    if (this.toggleDirectionButton) {
+      this.toggleDirectionButton.textContent = isRightToLeft ? '⬅️' : '➡️';
+      this.toggleDirectionButton.title = isRightToLeft
+        ? '右開き（右→左）（クリックで切り替え）'
+        : '左開き（左→右）（クリックで切り替え）';
+    }
+    if (this.cropButton) {
+      this.cropButton.classList.toggle('active', this.cropMode !== 'off');
+      this.cropButton.title = `余白の切り取り：${PDFViewer.CROP_LABELS[this.cropMode]}`;
+    }
+    if (this.toggleLayoutButton) {
+      const [icon, label] = PDFViewer.LAYOUT_LABELS[this.layoutMode];
+      this.toggleLayoutButton.textContent = icon;
+      this.toggleLayoutButton.title = `${label}（クリックで切り替え）`;
+    }
+    if (this.toggleCoverButton) {
+      this.toggleCoverButton.classList.toggle('hidden', !this.isTwoPageMode);
+      this.toggleCoverButton.classList.toggle('active', this.showCoverPage);
+      this.toggleCoverButton.title = this.showCoverPage ? '表紙を見開きに含める' : '表紙を単独で表示';
+    }
+  }
+
+  /**
+   * Get the rotation to render a page with
+   * Combines the page's own /Rotate entry, the document rotation and the page's extra rotation
+   * @param {PDFPageProxy} page - PDF.js page
+   * @returns {number} Rotation in degrees (0, 90, 180 or 270)
+   */
+  getPageRotation(page) {
+    return Utils.normalizeRotation(page.rotate + this.rotation + (this.pageRotations[page.pageNumber] || 0));
+  }
+
+  /**
+   * Rotate every page of the document
+   * @param {number} delta - Degrees to rotate by (multiple of 90, positive is clockwise)
+   */
+  rotateDocument(delta) {
+    if (!this.pdfDocument) return;
+    
+    this.rotation = Utils.normalizeRotation(this.rotation + delta);
+    this.applyRotation();
+  }
+
+  /**
+   * Rotate only the current page (e.g. a scanned page that is sideways)
+   * @param {number} delta - Degrees to rotate by (multiple of 90, positive is clockwise)
+   */
+  rotateCurrentPage(delta) {
+    if (!this.pdfDocument) return;
+    
+    const rotation = Utils.normalizeRotation((this.pageRotations[this.currentPage] || 0) + delta);
+    if (rotation === 0) {
+      delete this.pageRotations[this.currentPage];
+    } else {
+      this.pageRotations[this.currentPage] = rotation;
+    }
+    this.applyRotation();
+  }
+
+  /**
+   * Save the rotation to the file metadata and re-render
+   */
+  applyRotation() {
+    this.mediaManager.updateViewState(this.currentFile, {
+      rotation: this.rotation,
+      pageRotations: { ...this.pageRotations }
+    });
+    this.emit('rotationChanged', { rotation: this.rotation, pageRotations: this.pageRotations });
+    this.renderPage();
+  }
+
+  /**
+   * Update layout based on settings
+   */
+  updateLayout() {
+    const isScrollMode = this.layoutMode === 'scroll';
+    this.scrollContainer?.classList.toggle('scroll-mode', isScrollMode);
+    this.pageElement?.classList.toggle('scroll-mode', isScrollMode);
+    if (!isScrollMode) {
+      this.clearScrollLayout();
+    }
+    
+    // Snap to the start of the spread for the new layout
+    this.currentPage = this.getSpreadStart(this.currentPage);
+    this.updatePageInfo();
+    this.updateControls();
+    if (this.currentFile) {
+      this.renderPage();
+    }
+  }
+
+  /**
+   * Enter or leave presentation mode: one page at a time, fitted to the screen.
+   * The layout and zoom of the reader are put back (and not saved) when it ends
+   * @param {boolean} presenting - Whether to present
+   */
+  setPresentationMode(presenting) {
+    if (presenting === this.isPresenting) return;
+    
+    if (presenting) {
+      this.presentationRestore = {
+        layoutMode: this.layoutMode,
+        isTwoPageMode: this.isTwoPageMode,
+        fitMode: this.fitMode,
+        zoom: this.zoom,
+        panOffset: this.panOffset
+      };
+      this.layoutMode = 'single';
+      this.isTwoPageMode = false;
+      this.fitMode = 'page';
+      this.panOffset = { x: 0, y: 0 };
+    } else {
+      Object.assign(this, this.presentationRestore);
+      this.presentationRestore = null;
+    }
+    
+    this.isPresenting = presenting;
+    this.container.classList.toggle('presenting', presenting);
+    this.emit('presentationChanged', presenting);
+    this.updateLayout();
+  }
+
+  /**
+   * Toggle the document side panel
+   */
+  toggleSidePanel(visible) {
+    if (!this.sidePanel) return;
+    
+    const show = visible ?? this.sidePanel.classList.contains('hidden');
+    this.sidePanel.classList.toggle('hidden', !show);
+    this.togglePanelButton?.classList.toggle('active', show);
+    
+    // The page area changed size, so fit the page again
+    if (this.currentFile) {
+      this.renderPage();
+    }
+  }
+
+  /**
+   * Show a tab of the side panel
+   */
+  showPanel(panelName) {
+    if (!this.sidePanel) return;
+    
+    this.sidePanel.querySelectorAll('.pdf-panel-tab').forEach(tab => {
+      tab.classList.toggle('active', tab.dataset.panel === panelName);
+    });
+    this.sidePanel.querySelectorAll('.pdf-panel-content').forEach(content => {
+      content.classList.toggle('hidden', content.dataset.panel !== panelName);
+    });
+    
+    if (this.sidePanel.classList.contains('hidden')) {
+      this.toggleSidePanel(true);
+    }
+  }
+
+  /**
+   * Get the device pixels per CSS pixel to draw a canvas of the given CSS size with
+   * Canvases too large for the screen's pixel ratio get a preview resolution instead,
+   * and PDFTileLayer renders the visible part sharply on top
+   * @param {number} width - Canvas width in CSS pixels
+   * @param {number} height - Canvas height in CSS pixels
+   * @returns {number} Output scale
+   */
+  static getOutputScale(width, height) {
+    const pixelRatio = window.devicePixelRatio || 1;
+    const area = Math.max(1, width * height);
+    if (area * pixelRatio * pixelRatio <= PDFViewer.MAX_CANVAS_PIXELS) {
+      return pixelRatio;
+    }
+    return Math.min(pixelRatio, Math.sqrt(PDFViewer.PREVIEW_CANVAS_PIXELS / area));
+  }
+
+  /**
+   * Get the fit mode in effect (continuous scroll fits the width unless told otherwise)
+   */
+  getFitMode() {
+    return this.fitMode || (this.layoutMode === 'scroll' ? 'width' : 'page');
+  }
+
+  /**
+   * Get the current zoom relative to actual size (1.0 = 100%)
+   * A custom zoom counts before its render finishes, so rapid zoom steps add up
+   */
+  getZoomLevel() {
+    return this.fitMode === 'custom' ? this.zoom : this.scale / PDFViewer.CSS_UNITS;
+  }
+
+  /**
+   * Calculate the render scale for content of the given unscaled size
+   * @param {number} contentWidth - Width at scale 1 (a spread, or the widest page)
+   * @param {number} contentHeight - Height at scale 1
+   * @returns {number} Scale passed to getViewport
+   */
+  computeScale(contentWidth, contentHeight) {
+    // Presentations fill the screen edge to edge
+    const margin = this.isPresenting ? 0 : 40;
+    const fitWidth = (this.scrollContainer.clientWidth - margin) / contentWidth;
+    const fitHeight = (this.scrollContainer.clientHeight - margin) / contentHeight;
+    
+    let scale;
+    switch (this.getFitMode()) {
+      case 'width':
+        scale = fitWidth;
+        break;
+      case 'actual':
+        scale = PDFViewer.CSS_UNITS;
+        break;
+      case 'custom':
+        scale = this.zoom * PDFViewer.CSS_UNITS;
+        break;
+      default:
+        scale = Math.min(fitWidth, fitHeight);
+    }
+    
+    return Math.max(this.minZoom * PDFViewer.CSS_UNITS, Math.min(this.maxZoom * PDFViewer.CSS_UNITS, scale));
+  }
+
+  /**
+   * Select a fit mode ('page', 'width', 'actual', or null for the layout's default)
+   */
+  setFitMode(fitMode) {
+    this.fitMode = fitMode;
+    this.panOffset = { x: 0, y: 0 };
+    this.saveZoom();
+    this.renderPage();
+  }
+
+  /**
+   * Zoom to a level relative to actual size, optionally around a point of the page
+   * @param {number} zoom - Zoom level (1.0 = 100%)
+   * @param {Object} center - Point in page coordinates that should stay in place
+   */
+  zoomTo(zoom, center = null) {
+    if (!this.currentFile) return;
+    
+    const currentZoom = this.getZoomLevel();
+    const newZoom = Math.max(this.minZoom, Math.min(this.maxZoom, zoom));
+    if (this.fitMode === 'custom' && Math.abs(newZoom - currentZoom) < 0.001) return;
+    
+    // Adjust pan offset for the zoom center (continuous scroll keeps its scroll anchor)
+    if (center && this.layoutMode !== 'scroll') {
+      const scaleRatio = newZoom / currentZoom;
+      this.zoomCenter = center;
+      this.panOffset.x = center.x - (center.x - this.panOffset.x) * scaleRatio;
+      this.panOffset.y = center.y - (center.y - this.panOffset.y) * scaleRatio;
+    }
+    
+    this.fitMode = 'custom';
+    this.zoom = Math.round(newZoom * 1000) / 1000;
+    this.saveZoom();
+    this.renderPage();
+  }
+
+  /**
+   * Save the fit mode and zoom to the file metadata
+   */
+  saveZoom() {
+    // Zooming during a presentation is undone when it ends
+    if (this.pdfDocument && this.currentFile && !this.isPresenting) {
+      this.mediaManager.updateViewState(this.currentFile, {
+        fitMode: this.fitMode,
+        zoom: this.zoom
+      });
+    }
+  }
+
+  /**
+   * Update the zoom mode selector and percentage readout
+   */
+  updateZoomControls() {
+    const percent = Math.round(this.getZoomLevel() * 100);
+    
+    if (this.zoomLevelElement) {
+      this.zoomLevelElement.textContent = `${percent}%`;
+    }
+    if (this.zoomModeSelect) {
+      const fitMode = this.getFitMode();
+      const customOption = this.zoomModeSelect.querySelector('option[value="custom"]');
+      const preset = this.zoomModeSelect.querySelector(`option[value="${percent}"]`);
+      
+      if (fitMode !== 'custom') {
+        this.zoomModeSelect.value = fitMode;
+      } else if (preset) {
+        this.zoomModeSelect.value = String(percent);
+      } else if (customOption) {
+        customOption.textContent = `${percent}%`;
+        this.zoomModeSelect.value = 'custom';
+      }
+      if (customOption) {
+        customOption.hidden = this.zoomModeSelect.value !== 'custom';
+      }
+    }
+    if (this.zoomInButton) {
+      this.zoomInButton.disabled = this.getZoomLevel() >= this.maxZoom;
+    }
+    if (this.zoomOutButton) {
+      this.zoomOutButton.disabled = this.getZoomLevel() <= this.minZoom;
+    }
+  }
+
+  /**
+   * Handle zoom with mouse wheel
+   */
+  handleZoom(e) {
+    // The wheel scrolls the page stack in continuous scroll mode unless Ctrl is held
+    if (!this.currentFile || (this.layoutMode === 'scroll' && !e.ctrlKey)) return;
+    
+    e.preventDefault();
+    
+    const rect = this.canvas.getBoundingClientRect();
+    const zoomFactor = e.deltaY > 0 ? 0.9 : 1.1;
+    this.zoomTo(this.getZoomLevel() * zoomFactor, {
+      x: e.clientX - rect.left,
+      y: e.clientY - rect.top
+    });
+  }
+
+  /**
+   * Handle pan start
+   */
+  handlePanStart(e) {
+    if (!this.currentFile || this.layoutMode === 'scroll') return;
+    
+    // Dragging on text selects it instead of panning, and form fields keep their clicks
+    if (PDFTextLayer.isTextTarget(e.target) || Utils.isEditableTarget(e.target)) return;
+    
+    this.isDragging = true;
+    this.lastPanPoint = { x: e.clientX, y: e.clientY };
+    this.canvas.style.cursor = 'grabbing';
+  }
+
+  /**
+   * Handle pan move
+   */
+  handlePanMove(e) {
+    if (!this.isDragging || !this.currentFile) return;
+    
+    const dx = e.clientX - this.lastPanPoint.x;
+    const dy = e.clientY - this.lastPanPoint.y;
+    
+    this.panOffset.x += dx;
+    this.panOffset.y += dy;
+    
+    this.lastPanPoint = { x: e.clientX, y: e.clientY };
+    
+    // Apply transform immediately for smooth panning
+    this.pageElement.style.transform = `translate(${this.panOffset.x}px, ${this.panOffset.y}px)`;
+  }
+
+  /**
+   * Handle pan end
+   */
+  handlePanEnd(e) {
+    if (this.isDragging) {
+      this.emit('viewportChanged');
+    }
+    this.isDragging = false;
+    this.canvas.style.cursor = 'grab';
+  }
+
+  /**
+   * Handle touch start
+   */
+  handleTouchStart(e) {
+    // Let the browser scroll natively in continuous scroll mode
+    if (this.layoutMode === 'scroll') return;
+    
+    // Taps on links and form fields become clicks
+    if (PDFLinkLayer.isLinkTarget(e.target) || Utils.isEditableTarget(e.target)) return;
+    
+    if (e.touches.length === 1) {
+      // Single touch - pan
+      const touch = e.touches[0];
+      this.handlePanStart({ clientX: touch.clientX, clientY: touch.clientY });
+      this.swipeStart = {
+        x: touch.clientX,
+        y: touch.clientY,
+        time: Date.now(),
+        panOffset: { ...this.panOffset }
+      };
+    } else {
+      this.swipeStart = null;
+    }
+    e.preventDefault();
+  }
+
+  /**
+   * Handle touch move
+   */
+  handleTouchMove(e) {
+    if (this.layoutMode === 'scroll') return;
+    
+    if (e.touches.length === 1 && this.isDragging) {
+      // Single touch - pan
+      const touch = e.touches[0];
+      this.handlePanMove({ clientX: touch.clientX, clientY: touch.clientY });
+    } else if (e.touches.length === 2) {
       // Pinch to zoom
       this.handlePinchZoom(e);
     }
@@ -470,10 +1862,42 @@ class PDFViewer {
    * Handle touch end
    */
   handleTouchEnd(e) {
+    if (this.layoutMode === 'scroll') return;
+    if (PDFLinkLayer.isLinkTarget(e.target) || Utils.isEditableTarget(e.target)) return;
+    
     this.handlePanEnd(e);
+    this.handleSwipe(e);
     e.preventDefault();
   }
 
+  /**
+   * Turn the page on a quick horizontal swipe when the spread fits the width
+   * Swiping left turns to the page on the right, so the direction follows the reading direction
+   */
+  handleSwipe(e) {
+    const start = this.swipeStart;
+    this.swipeStart = null;
+    if (!start || e.touches.length > 0 || !e.changedTouches.length) return;
+    
+    const touch = e.changedTouches[0];
+    const dx = touch.clientX - start.x;
+    const dy = touch.clientY - start.y;
+    const isSwipe = Math.abs(dx) > PDFViewer.SWIPE_DISTANCE &&
+      Math.abs(dx) > Math.abs(dy) * 2 &&
+      Date.now() - start.time < PDFViewer.SWIPE_DURATION;
+    
+    // A zoomed-in page is panned instead
+    if (!isSwipe || this.canvas.offsetWidth > this.scrollContainer.clientWidth) return;
+    
+    this.panOffset = start.panOffset;
+    this.pageElement.style.transform = `translate(${this.panOffset.x}px, ${this.panOffset.y}px)`;
+    if (dx < 0) {
+      this.pageRight();
+    } else {
+      this.pageLeft();
+    }
+  }
+
   /**
    * Handle pinch to zoom
    */
@@ -490,61 +1914,40 @@ class PDFViewer {
     
     if (this.lastPinchDistance) {
       const zoomFactor = distance / this.lastPinchDistance;
-      const newScale = Math.max(0.5, Math.min(3.0, this.scale * zoomFactor));
       
-      if (newScale !== this.scale) {
-        // Calculate center point between touches
-        const centerX = (touch1.clientX + touch2.clientX) / 2;
-        const centerY = (touch1.clientY + touch2.clientY) / 2;
-        
-        const rect = this.canvas.getBoundingClientRect();
-        this.zoomCenter = { 
-          x: centerX - rect.left, 
-          y: centerY - rect.top 
-        };
-        
-        // Adjust pan offset for zoom center
-        const scaleRatio = newScale / this.scale;
-        this.panOffset.x = this.zoomCenter.x - (this.zoomCenter.x - this.panOffset.x) * scaleRatio;
-        this.panOffset.y = this.zoomCenter.y - (this.zoomCenter.y - this.panOffset.y) * scaleRatio;
-        
-        this.scale = newScale;
-        this.renderPage();
-      }
+      // Calculate center point between touches
+      const centerX = (touch1.clientX + touch2.clientX) / 2;
+      const centerY = (touch1.clientY + touch2.clientY) / 2;
+      
+      const rect = this.canvas.getBoundingClientRect();
+      this.zoomTo(this.getZoomLevel() * zoomFactor, {
+        x: centerX - rect.left,
+        y: centerY - rect.top
+      });
     }
     
     this.lastPinchDistance = distance;
   }
 
   /**
-   * Reset zoom and pan
+   * Reset zoom and pan (back to the layout's default fit mode)
    */
   resetZoom() {
-    this.scale = 1.0;
-    this.panOffset = { x: 0, y: 0 };
-    this.renderPage();
+    this.setFitMode(null);
   }
 
   /**
    * Zoom in
    */
   zoomIn() {
-    const newScale = Math.min(3.0, this.scale * 1.2);
-    if (newScale !== this.scale) {
-      this.scale = newScale;
-      this.renderPage();
-    }
+    this.zoomTo(this.getZoomLevel() * 1.2);
   }
 
   /**
    * Zoom out
    */
   zoomOut() {
-    const newScale = Math.max(0.5, this.scale * 0.8);
-    if (newScale !== this.scale) {
-      this.scale = newScale;
-      this.renderPage();
-    }
+    this.zoomTo(this.getZoomLevel() * 0.8);
   }
 
   /**
@@ -570,14 +1973,45 @@ class PDFViewer {
     };
   }
 
+  /**
+   * Event listener management
+   */
+  on(event, callback) {
+    if (!this.eventListeners[event]) {
+      this.eventListeners[event] = [];
+    }
+    this.eventListeners[event].push(callback);
+  }
+
+  off(event, callback) {
+    if (this.eventListeners[event]) {
+      const index = this.eventListeners[event].indexOf(callback);
+      if (index > -1) {
+        this.eventListeners[event].splice(index, 1);
+      }
+    }
+  }
+
+  emit(event, data) {
+    if (this.eventListeners[event]) {
+      this.eventListeners[event].forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error('Error in event listener:', error);
+        }
+      });
+    }
+  }
+
   /**
    * Dispose viewer resources
    */
   dispose() {
-    if (this.renderTask) {
-      this.renderTask.cancel();
-      this.renderTask = null;
-    }
+    this.cancelRenderTasks();
+    this.resetScrollMode();
+    this.canvasPool = [];
+    this.annotationLayer?.dispose();
     
     if (this.pdfDocument) {
       this.pdfDocument.destroy();
@@ -588,5 +2022,43 @@ class PDFViewer {
   }
 }
 
+// PDF points (1/72 in) to CSS pixels (1/96 in): scale at which a page shows at 100%
+PDFViewer.CSS_UNITS = 96 / 72;
+
+// Largest canvas drawn at the screen's pixel ratio (iOS refuses canvases above 16M pixels)
+PDFViewer.MAX_CANVAS_PIXELS = 4096 * 4096;
+
+// Number of rendered spreads kept for instant page turns
+PDFViewer.RENDER_CACHE_SIZE = 6;
+
+// Size of the low-resolution preview drawn under tiles when a canvas would be larger
+PDFViewer.PREVIEW_CANVAS_PIXELS = 2 * 1024 * 1024;
+
+// Fit modes that can be selected directly (custom zoom is set by zooming)
+PDFViewer.FIT_MODES = ['page', 'width', 'actual'];
+
+// Margin trimming modes and their labels
+PDFViewer.CROP_MODES = ['off', 'page', 'document', 'manual'];
+PDFViewer.CROP_LABELS = {
+  off: 'オフ',
+  page: '自動（ページごと）',
+  document: '自動（全ページ共通）',
+  manual: '手動'
+};
+
+// Moves of more pages than this are jumps that the navigation history records
+PDFViewer.HISTORY_JUMP_PAGES = 5;
+
+// Minimum distance (px) and maximum duration (ms) of a page-turning swipe
+PDFViewer.SWIPE_DISTANCE = 60;
+PDFViewer.SWIPE_DURATION = 500;
+
+// Layout toggle button icon and label per layout mode
+PDFViewer.LAYOUT_LABELS = {
+  single: ['📄', 'シングルページ'],
+  double: ['📖', '見開き'],
+  scroll: ['📜', '連続スクロール']
+};
+
 // Make PDFViewer available globally
 window.PDFViewer = PDFViewer;
\ No newline at end of file
@@ -0,0 +1,102 @@
+// Pink Reader PWA - Reading Color Mode Component
+
+/**
+ * ReadingColorMode class - Sepia, dark and tinted display of a viewer's pages
+ * Colours are changed with CSS filters on the rendered canvases and images only, so
+ * rendering, the render cache, thumbnails and exports are left untouched. The mode is
+ * the default from the settings unless the open file has its own. Used by both
+ * PDFViewer and ImageViewer.
+ */
+class ReadingColorMode {
+  constructor(containerElement, mediaManager, options = {}) {
+    this.container = containerElement;
+    this.mediaManager = mediaManager;
+    this.isActive = options.isActive || (() => true);
+
+    // DOM elements
+    this.selectElement = null;
+    this.tintMatrix = null;
+
+    this.init();
+  }
+
+  /**
+   * Initialize colour mode
+   */
+  init() {
+    this.setupDOM();
+    this.setupEventListeners();
+
+    this.mediaManager.on('currentFileChanged', () => this.update());
+    this.mediaManager.on('settingsChanged', () => this.update());
+  }
+
+  /**
+   * Setup DOM elements
+   */
+  setupDOM() {
+    this.selectElement = this.container.querySelector('.color-mode-select');
+    this.tintMatrix = document.querySelector('#reading-tint-filter feColorMatrix');
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    // An empty value makes the file follow the default again
+    this.selectElement?.addEventListener('change', (e) => {
+      const file = this.mediaManager.currentFile;
+      if (file && this.isActive()) {
+        this.mediaManager.setFileColorMode(file, e.target.value || null);
+      }
+    });
+  }
+
+  /**
+   * Apply the open file's colour mode and show it in the selector
+   */
+  update() {
+    const file = this.isActive() ? this.mediaManager.currentFile : null;
+    const mode = this.mediaManager.getColorMode(file);
+    this.container.dataset.colorMode = mode;
+
+    if (mode === 'tint') {
+      this.updateTint(this.mediaManager.colorTint);
+    }
+
+    if (this.selectElement) {
+      const defaultOption = this.selectElement.querySelector('option[value=""]');
+      if (defaultOption) {
+        defaultOption.textContent = `既定（${ReadingColorMode.LABELS[this.mediaManager.colorMode]}）`;
+      }
+      this.selectElement.value = (file && this.mediaManager.fileColorModes[file.id]) || '';
+    }
+  }
+
+  /**
+   * Set the colour the tint filter multiplies pages with
+   * @param {string} color - Hex colour (#rrggbb)
+   */
+  updateTint(color) {
+    if (!this.tintMatrix) return;
+
+    const [red, green, blue] = [1, 3, 5].map(index => parseInt(color.slice(index, index + 2), 16) / 255);
+    this.tintMatrix.setAttribute('values', [
+      red, 0, 0, 0, 0,
+      0, green, 0, 0, 0,
+      0, 0, blue, 0, 0,
+      0, 0, 0, 1, 0
+    ].join(' '));
+  }
+}
+
+// Selector labels of the colour modes
+ReadingColorMode.LABELS = {
+  normal: '標準',
+  sepia: 'セピア',
+  dark: 'ダーク',
+  tint: 'カスタム色'
+};
+
+// Make ReadingColorMode available globally
+window.ReadingColorMode = ReadingColorMode;
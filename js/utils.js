@@ -170,33 +170,68 @@ class Utils {
     try {
       const arrayBuffer = await file.arrayBuffer();
       const pdf = await pdfjsLib.getDocument(arrayBuffer).promise;
-      const page = await pdf.getPage(1);
-      
-      const scale = 1.5;
-      const viewport = page.getViewport({ scale });
-      
-      const canvas = document.createElement('canvas');
-      const ctx = canvas.getContext('2d');
-      
-      const { width, height } = Utils.calculateThumbnailSize(viewport.width, viewport.height);
-      
-      canvas.width = width;
-      canvas.height = height;
-      
-      const renderContext = {
-        canvasContext: ctx,
-        viewport: page.getViewport({ scale: Math.min(width / viewport.width, height / viewport.height) })
-      };
-      
-      await page.render(renderContext).promise;
-      
-      return canvas.toDataURL('image/jpeg', 0.7);
+      return await Utils.renderPDFThumbnail(pdf);
     } catch (error) {
       console.warn('PDF thumbnail generation failed:', error);
       return Utils.getDefaultThumbnail('pdf');
     }
   }
 
+  /**
+   * Render the thumbnail of an opened PDF document (its first page)
+   * @param {PDFDocumentProxy} pdf - PDF.js document
+   * @returns {Promise<string>} Base64 thumbnail
+   */
+  static async renderPDFThumbnail(pdf) {
+    const page = await pdf.getPage(1);
+    
+    const scale = 1.5;
+    const viewport = page.getViewport({ scale });
+    
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    
+    const { width, height } = Utils.calculateThumbnailSize(viewport.width, viewport.height);
+    
+    canvas.width = width;
+    canvas.height = height;
+    
+    const renderContext = {
+      canvasContext: ctx,
+      viewport: page.getViewport({ scale: Math.min(width / viewport.width, height / viewport.height) })
+    };
+    
+    await page.render(renderContext).promise;
+    
+    return canvas.toDataURL('image/jpeg', 0.7);
+  }
+
+  /**
+   * Read the document information of an opened PDF
+   * Prefers the XMP title, which keeps non-Latin titles intact more often than the Info dictionary
+   * @param {PDFDocumentProxy} pdf - PDF.js document
+   * @returns {Promise<Object>} {title, author, subject, keywords, creator, producer,
+   *   creationDate, modificationDate (ISO strings), pdfVersion, encryption}
+   */
+  static async getPDFMetadata(pdf) {
+    const { info = {}, metadata } = await pdf.getMetadata();
+    const text = (value) => (typeof value === 'string' ? value.trim() : '');
+    const date = (value) => pdfjsLib.PDFDateString.toDateObject(value)?.toISOString() || null;
+    
+    return {
+      title: text(metadata?.get('dc:title')) || text(info.Title),
+      author: text(info.Author),
+      subject: text(info.Subject),
+      keywords: text(info.Keywords),
+      creator: text(info.Creator),
+      producer: text(info.Producer),
+      creationDate: date(info.CreationDate),
+      modificationDate: date(info.ModDate),
+      pdfVersion: info.PDFFormatVersion || null,
+      encryption: info.EncryptFilterName || null
+    };
+  }
+
   /**
    * Calculate thumbnail size maintaining aspect ratio
    * @param {number} originalWidth - Original width
@@ -338,6 +373,25 @@ class Utils {
     return 'ontouchstart' in window || navigator.maxTouchPoints > 0;
   }
 
+  /**
+   * Check if an event target is a text-editing element
+   * @param {EventTarget} target - Event target
+   * @returns {boolean} True if keyboard input belongs to the element
+   */
+  static isEditableTarget(target) {
+    if (!target || !target.tagName) return false;
+    return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable;
+  }
+
+  /**
+   * Normalize an angle to 0, 90, 180 or 270 degrees
+   * @param {number} degrees - Rotation in degrees (multiple of 90)
+   * @returns {number} Rotation in the range 0-359
+   */
+  static normalizeRotation(degrees) {
+    return ((degrees % 360) + 360) % 360;
+  }
+
   /**
    * Sanitize filename for safe storage
    * @param {string} filename - Original filename
@@ -361,6 +415,24 @@ class Utils {
     });
   }
 
+  /**
+   * Save a blob as a download
+   * @param {Blob} blob - File contents
+   * @param {string} filename - Suggested file name
+   */
+  static downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    // Give the browser a moment to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
   /**
    * Check if File System Access API is supported
    * @returns {boolean} True if supported
@@ -369,6 +441,16 @@ class Utils {
     return 'showOpenFilePicker' in window;
   }
 
+  /**
+   * Open a web address from a document in a new tab, after asking the user
+   * @param {string} url - Address of the external link
+   */
+  static openExternalLink(url) {
+    if (confirm(`外部サイトを新しいタブで開きますか？\n${url}`)) {
+      window.open(url, '_blank', 'noopener,noreferrer');
+    }
+  }
+
   /**
    * Escape HTML to prevent XSS
    * @param {string} text - Text to escape
@@ -124,10 +124,13 @@ class VideoPlayer {
           this.togglePlayPause();
           break;
         case 'ArrowLeft':
+          // Alt+arrows move through the navigation history
+          if (e.altKey) break;
           e.preventDefault();
           this.seek(Math.max(0, this.currentTime - 10));
           break;
         case 'ArrowRight':
+          if (e.altKey) break;
           e.preventDefault();
           this.seek(Math.min(this.duration, this.currentTime + 10));
           break;
@@ -0,0 +1,111 @@
+// Pink Reader PWA - ZIP Archive
+
+/**
+ * ZipArchive class - Builds ZIP files in the browser
+ * Entries are stored without compression: the exported PNG and JPEG images are already
+ * compressed, so deflating them again would only cost time
+ */
+class ZipArchive {
+  /**
+   * Create a ZIP archive
+   * @param {Array} entries - Files {name, blob}
+   * @returns {Promise<Blob>} ZIP blob
+   */
+  static async create(entries) {
+    const encoder = new TextEncoder();
+    const { time, date } = ZipArchive.getDosDateTime(new Date());
+    const parts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+      const name = encoder.encode(entry.name);
+      const data = new Uint8Array(await entry.blob.arrayBuffer());
+      const crc = ZipArchive.crc32(data);
+
+      const localHeader = new DataView(new ArrayBuffer(30));
+      localHeader.setUint32(0, 0x04034b50, true);
+      localHeader.setUint16(4, 20, true);
+      localHeader.setUint16(6, ZipArchive.UTF8_FLAG, true);
+      localHeader.setUint16(8, 0, true);
+      localHeader.setUint16(10, time, true);
+      localHeader.setUint16(12, date, true);
+      localHeader.setUint32(14, crc, true);
+      localHeader.setUint32(18, data.length, true);
+      localHeader.setUint32(22, data.length, true);
+      localHeader.setUint16(26, name.length, true);
+      localHeader.setUint16(28, 0, true);
+      parts.push(localHeader, name, data);
+
+      const centralHeader = new DataView(new ArrayBuffer(46));
+      centralHeader.setUint32(0, 0x02014b50, true);
+      centralHeader.setUint16(4, 20, true);
+      centralHeader.setUint16(6, 20, true);
+      centralHeader.setUint16(8, ZipArchive.UTF8_FLAG, true);
+      centralHeader.setUint16(10, 0, true);
+      centralHeader.setUint16(12, time, true);
+      centralHeader.setUint16(14, date, true);
+      centralHeader.setUint32(16, crc, true);
+      centralHeader.setUint32(20, data.length, true);
+      centralHeader.setUint32(24, data.length, true);
+      centralHeader.setUint16(28, name.length, true);
+      centralHeader.setUint32(42, offset, true);
+      centralParts.push(centralHeader, name);
+
+      offset += 30 + name.length + data.length;
+    }
+
+    const centralSize = centralParts.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...centralParts, end], { type: 'application/zip' });
+  }
+
+  /**
+   * Get the MS-DOS time and date fields of a date
+   */
+  static getDosDateTime(value) {
+    return {
+      time: (value.getHours() << 11) | (value.getMinutes() << 5) | (value.getSeconds() >> 1),
+      date: ((value.getFullYear() - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate()
+    };
+  }
+
+  /**
+   * Compute the CRC-32 of data
+   * @param {Uint8Array} data - Data
+   * @returns {number} Unsigned CRC-32
+   */
+  static crc32(data) {
+    if (!ZipArchive.crcTable) {
+      ZipArchive.crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        ZipArchive.crcTable[n] = c;
+      }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+      crc = ZipArchive.crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+}
+
+// General purpose flag: file names are UTF-8 (Japanese names survive on every unzip tool)
+ZipArchive.UTF8_FLAG = 0x0800;
+
+// CRC-32 lookup table, built on first use
+ZipArchive.crcTable = null;
+
+// Make ZipArchive available globally
+window.ZipArchive = ZipArchive;
@@ -12,8 +12,27 @@ const CORE_FILES = [
   './js/app.js',
   './js/media-manager.js',
   './js/pdf-viewer.js',
+  './js/pdf-password.js',
+  './js/zip-archive.js',
+  './js/pdf-page-export.js',
+  './js/pdf-margin-crop.js',
+  './js/pdf-tile-layer.js',
+  './js/pdf-text-layer.js',
+  './js/pdf-link-layer.js',
+  './js/pdf-form-layer.js',
+  './js/pdf-search.js',
+  './js/pdf-outline.js',
+  './js/pdf-thumbnails.js',
+  './js/pdf-bookmarks.js',
+  './js/pdf-properties.js',
+  './js/pdf-presentation.js',
+  './js/pdf-read-aloud.js',
+  './js/annotation-layer.js',
+  './js/annotation-formats.js',
+  './js/reading-color-mode.js',
   './js/image-viewer.js',
   './js/video-player.js',
+  './js/navigation-history.js',
   './js/utils.js',
   './icons/app_icon.png',
   './icons/icon-32x32.png',